@@ -0,0 +1,88 @@
+// =====================================================
+// STORY ANALYSIS - BROKEN LINKS, ORPHANS & DEAD ENDS
+// =====================================================
+
+import { passageTags } from './tags.js';
+
+// Passages tagged with one of these are meant to have no way out
+export const ENDING_TAGS = ['ending', 'end'];
+
+const ISSUE_MESSAGES = {
+    broken: target => `Links to missing passage "${target}"`,
+    unreachable: () => 'Cannot be reached from the start passage',
+    orphan: () => 'No other passage links here',
+    deadEnd: () => 'Has no links out (tag it "ending" if intended)'
+};
+
+/**
+ * Analyze the link structure of a story.
+ * extractLinks(content) must return the link targets of a passage's content
+ * (StoryRenderer.extractLinks) so the analysis sees links exactly as the canvas does.
+ *
+ * Returns lists per problem type plus issuesByPassage: { name: [{ type, message }] }.
+ */
+export function analyzeStory(story, extractLinks) {
+    const passages = story?.passages || {};
+    const names = Object.keys(passages);
+    const exists = name => Object.prototype.hasOwnProperty.call(passages, name);
+
+    const outgoing = {};
+    const incoming = {};
+    names.forEach(name => { incoming[name] = 0; });
+
+    const brokenLinks = [];
+    names.forEach(name => {
+        const targets = [...new Set(extractLinks(passages[name].content))];
+        outgoing[name] = targets.filter(exists);
+        targets.forEach(target => {
+            if (!exists(target)) {
+                brokenLinks.push({ passage: name, target });
+            } else if (target !== name) {
+                incoming[target]++;
+            }
+        });
+    });
+
+    const start = story?.startPassage;
+    const orphans = names.filter(name => name !== start && incoming[name] === 0);
+
+    const deadEnds = names.filter(name =>
+        extractLinks(passages[name].content).length === 0 &&
+        !passageTags(passages[name]).some(tag => ENDING_TAGS.includes(tag.toLowerCase()))
+    );
+
+    // Breadth-first walk from the start passage
+    const reached = new Set();
+    if (exists(start)) {
+        const queue = [start];
+        reached.add(start);
+        while (queue.length) {
+            outgoing[queue.shift()].forEach(target => {
+                if (!reached.has(target)) {
+                    reached.add(target);
+                    queue.push(target);
+                }
+            });
+        }
+    }
+    const unreachable = names.filter(name => !reached.has(name));
+
+    const issuesByPassage = {};
+    const addIssue = (name, type, detail) => {
+        (issuesByPassage[name] = issuesByPassage[name] || []).push({ type, message: ISSUE_MESSAGES[type](detail) });
+    };
+    brokenLinks.forEach(link => addIssue(link.passage, 'broken', link.target));
+    unreachable.forEach(name => addIssue(name, 'unreachable'));
+    orphans.forEach(name => addIssue(name, 'orphan'));
+    deadEnds.forEach(name => addIssue(name, 'deadEnd'));
+
+    return {
+        brokenLinks,
+        orphans,
+        deadEnds,
+        unreachable,
+        missingStart: names.length > 0 && !exists(start),
+        issuesByPassage,
+        total: brokenLinks.length + orphans.length + deadEnds.length + unreachable.length
+    };
+}
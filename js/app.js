@@ -2,9 +2,21 @@
 // MAIN APP - WIRING & STATE MANAGEMENT
 // =====================================================
 
-import { AuthService, StoryDB } from './firebase.js';
+import { AuthService, StoryDB, backendFeatures } from './storage.js';
 import { CanvasController } from './canvas.js';
 import { StoryRenderer, StoryPlayer } from './story.js';
+import { storyRuntime } from './runtime.js';
+import { UndoHistory, snapshotStory, diffSnapshots, diffPassageFields, applyPassageFields, isEmptyChange } from './history.js';
+import { OfflineSync } from './offline.js';
+import { TAG_COLORS, passageTags, normalizeTag, storyTags, tagColor } from './tags.js';
+import { sanitizeStylesheet } from './stylesheet.js';
+import { LAYOUTS, NODE_WIDTH, NODE_HEIGHT, findClearOffset, findClearPosition, passageBounds } from './layout.js';
+import { Minimap } from './minimap.js';
+import { ContextMenu } from './context-menu.js';
+import { copyPassages, clipboardPassages, clonePassages } from './clipboard.js';
+import { createMatcher, searchPassages, replaceInPassages } from './search.js';
+import { CommandPalette } from './palette.js';
+import { createPassageDrag } from './drag.js';
 import {
     parseTwine,
     parseTwee,
@@ -13,15 +25,40 @@ import {
     exportAsHtml,
     exportAsTwineArchive,
     exportAsTwee,
-    exportAsJson
+    exportAsJson,
+    storyRunsScripts
 } from './import-export.js';
 import { $, esc, showToast, generatePassageName, validatePassageName, deepClone } from './utils.js';
 
 // =====================================================
-// OWNERSHIP HELPERS
+// PERMISSIONS
 // =====================================================
+// Lowest to highest; each role can do everything the ones before it can
+const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+const ROLE_LABELS = { viewer: 'Viewer', commenter: 'Commenter', editor: 'Editor', owner: 'Owner' };
+
+// The signed-in user's role on a story; its creator is always an owner
+function getRole(story) {
+    if (!story) return null;
+    const uid = AuthService.getCurrentUserId();
+    if (story.ownerId === uid) return 'owner';
+    return story.collaborators?.[uid]?.role || null;
+}
+
+function hasRole(story, role) {
+    return ROLES.indexOf(getRole(story)) >= ROLES.indexOf(role);
+}
+
 function isOwner(story) {
-    return story && story.ownerId === AuthService.getCurrentUserId();
+    return hasRole(story, 'owner');
+}
+
+function canEdit(story) {
+    return hasRole(story, 'editor');
+}
+
+function canComment(story) {
+    return hasRole(story, 'commenter');
 }
 
 // =====================================================
@@ -31,6 +68,13 @@ let stories = [];
 let communityStories = [];
 let currentTab = 'mine';
 let currentStory = null;
+let dragSnapshot = null;
+let dragWithShift = false;
+let boxSelectBase = null;
+let pendingRemoteStory = null;
+let collaboration = null;
+let editorBase = null;
+let editorTags = [];
 
 // =====================================================
 // DOM REFERENCES
@@ -46,53 +90,117 @@ const storyTitle = $('storyTitle');
 // =====================================================
 // INITIALIZE CONTROLLERS
 // =====================================================
+const passageDrag = createPassageDrag(() => ({ canvas, renderer, minimap }), {
+    getStory: () => currentStory,
+    takeStart: () => {
+        const before = dragSnapshot;
+        dragSnapshot = null;
+        return before;
+    },
+    // Collaborators' changes wait until the drop so the nodes don't jump mid-drag
+    beforeDrop: names => {
+        if (pendingRemoteStory) {
+            applyRemoteStory(pendingRemoteStory, names);
+            pendingRemoteStory = null;
+        }
+    },
+    // A click without movement is not an edit; on a group it selects just that
+    // passage, unless it was a long press opening the group's menu
+    onClick: (names, { longPress = false }) => {
+        if (!dragWithShift && !longPress && renderer.getSelection().length > 1) renderer.setSelection([names[0]]);
+    },
+    save: async (positions, moved, before) => {
+        try {
+            await StoryDB.updatePassages(currentStory.id, positions);
+            recordEdit(moved.length === 1 ? 'Move passage' : 'Move passages', before);
+        } catch (err) {
+            console.error(err);
+            showToast('Error saving position');
+        }
+    }
+});
+
 const canvas = new CanvasController({
     canvasView: $('canvasView'),
     canvasContainer: $('canvasContainer'),
     zoomDisplay: $('zoomLevel'),
-    onNodeDrag: (name, x, y) => {
-        renderer.updatePassagePosition(name, x, y);
-        renderer.renderConnections();
+    ...passageDrag,
+    onBoxSelect: (rect, done) => {
+        if (!currentStory) return;
+        // Box selection adds to what was selected when it started
+        if (!boxSelectBase) boxSelectBase = renderer.getSelection();
+        const inBox = renderer.passagesInRect(rect);
+        renderer.setSelection([...new Set([...boxSelectBase, ...inBox])]);
+        if (done) {
+            boxSelectBase = null;
+            updatePresence();
+        }
     },
-    onNodeDragEnd: async (name) => {
-        const passage = currentStory?.passages[name];
-        if (passage) {
-            try {
-                await StoryDB.updatePassage(currentStory.id, name, {
-                    x: passage.x,
-                    y: passage.y
-                });
-            } catch (err) {
-                console.error(err);
-                showToast('Error saving position');
-            }
+    onBackgroundClick: () => {
+        if (currentStory && renderer.getSelection().length) {
+            renderer.setSelection([]);
+            updatePresence();
         }
+    },
+    onViewChange: (viewport) => {
+        renderer.setViewport(viewport);
+        minimap.update();
     }
 });
 
+const minimap = new Minimap($('minimap'), canvas);
+const canvasMenu = new ContextMenu($('canvasMenu'));
+const passageMenu = new ContextMenu($('passageMenu'));
+const palette = new CommandPalette($('paletteModal'), $('paletteInput'), $('paletteList'));
+
 const renderer = new StoryRenderer({
     passagesLayer: $('passagesLayer'),
     connectionsLayer: $('connectionsLayer'),
-    onPassageSelect: (name) => {
-        renderer.setSelectedPassage(name);
+    onPassageSelect: () => {
+        updatePresence();
     },
     onPassageEdit: (name) => {
         openPassageEditor(name);
     },
     onPassageDragStart: (node, e) => {
-        if (!isOwner(currentStory)) return;
-        canvas.startDrag(node, e);
+        if (!canEdit(currentStory)) return;
+        dragSnapshot = beginEdit();
+        dragWithShift = e.shiftKey;
+        const group = {};
+        renderer.getSelection().forEach(name => {
+            const passage = currentStory.passages[name];
+            if (passage) group[name] = { x: passage.x || 100, y: passage.y || 100 };
+        });
+        canvas.startDrag(node, e, group);
+    },
+    onSelectionChange: (names) => {
+        renderSelectionBar(names);
+        minimap.setSelection(names);
+    },
+    onAnalysis: (analysis) => {
+        renderCheckPanel(analysis);
+        renderTagFilter();
+    },
+    onRender: () => {
+        minimap.update();
+        runSearch();
     }
 });
 
-const player = new StoryPlayer($('playContent'));
+const player = new StoryPlayer($('playContent'), $('playControls'), $('playContainer'));
+
+const undoHistory = new UndoHistory({
+    onChange: () => updateUndoButtons()
+});
 
 // =====================================================
 // AUTH UI
 // =====================================================
 AuthService.onAuthStateChanged(user => {
+    if (playRouteId()) return; // the public player needs no account
     if (user) {
         showApp();
+        OfflineSync.flush();
     } else {
         loginScreen.classList.remove('hidden');
         app.classList.remove('active');
@@ -176,6 +284,7 @@ $('forgotPasswordForm').addEventListener('submit', async e => {
 });
 
 $('logoutBtn').addEventListener('click', async () => {
+    stopCollaboration();
     try {
         await AuthService.signOut();
     } catch (err) {
@@ -188,6 +297,7 @@ function showApp() {
     loginScreen.classList.add('hidden');
     app.classList.add('active');
     loadStories();
+    openLinkedStory();
 }
 
 function showAuthError(message) {
@@ -209,10 +319,69 @@ async function loadStories() {
     try {
         stories = await StoryDB.getAll();
         renderStories();
+        if (!navigator.onLine) showToast('Offline - showing saved copies of your stories');
     } catch (err) {
         console.error(err);
         storiesList.innerHTML = '<div class="empty-state"><p>Error loading. Check Firebase config.</p></div>';
     }
+    loadInvitations();
+}
+
+async function loadInvitations() {
+    try {
+        renderInvitations(await StoryDB.getInvitations());
+    } catch (err) {
+        console.error(err);
+        renderInvitations([]);
+    }
+}
+
+function renderInvitations(invited) {
+    const list = $('invitationsList');
+    list.innerHTML = '';
+    if (currentTab !== 'mine') return;
+
+    const email = AuthService.getCurrentUserEmail();
+    invited.forEach(story => {
+        const invitation = story.invitations?.[email];
+        if (!invitation) return;
+
+        const card = document.createElement('div');
+        card.className = 'invitation-card';
+        const text = document.createElement('p');
+        const role = (ROLE_LABELS[invitation.role] || invitation.role).toLowerCase();
+        text.innerHTML = `${esc(invitation.invitedBy || 'Someone')} invited you to <strong>${esc(story.title)}</strong> as ${esc(role)}`;
+
+        const accept = document.createElement('button');
+        accept.className = 'btn btn-primary btn-small';
+        accept.textContent = 'Accept';
+        accept.addEventListener('click', async () => {
+            try {
+                await StoryDB.acceptInvitation(story.id, invitation.role);
+                showToast(`Joined "${story.title}"`);
+                loadStories();
+            } catch (err) {
+                console.error(err);
+                showToast('Error accepting invitation');
+            }
+        });
+
+        const decline = document.createElement('button');
+        decline.className = 'btn btn-secondary btn-small';
+        decline.textContent = 'Decline';
+        decline.addEventListener('click', async () => {
+            try {
+                await StoryDB.declineInvitation(story.id);
+                card.remove();
+            } catch (err) {
+                console.error(err);
+                showToast('Error declining invitation');
+            }
+        });
+
+        card.append(text, accept, decline);
+        list.appendChild(card);
+    });
 }
 
 async function loadCommunityStories() {
@@ -229,6 +398,7 @@ async function loadCommunityStories() {
 
 function switchTab(tab) {
     currentTab = tab;
+    $('invitationsList').innerHTML = '';
     $('myStoriesTab').classList.toggle('active', tab === 'mine');
     $('communityTab').classList.toggle('active', tab === 'community');
     if (tab === 'mine') {
@@ -245,7 +415,7 @@ function renderStories() {
     if (!list.length) {
         const msg = currentTab === 'mine'
             ? '<h3>No stories yet</h3><p>Create your first interactive story</p>'
-            : '<h3>No community stories</h3><p>No one has shared a story yet</p>';
+            : '<h3>No community stories</h3><p>No one has published a story yet</p>';
         storiesList.innerHTML = `
             <div class="empty-state">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
@@ -260,7 +430,16 @@ function renderStories() {
         const count = s.passages ? Object.keys(s.passages).length : 0;
         const date = s.updatedAt ? new Date(s.updatedAt.seconds * 1000).toLocaleDateString() : '';
         const owned = s.ownerId === uid;
-        const badge = currentTab === 'community' && owned ? ' · <span class="badge-own">Yours</span>' : '';
+        const sharedRole = !owned && s.collaborators?.[uid]?.role;
+        let badge = '';
+        if (currentTab === 'community' && owned) badge = ' · <span class="badge-own">Yours</span>';
+        else if (sharedRole) badge = ` · <span class="badge-shared">Shared · ${ROLE_LABELS[sharedRole] || ''}</span>`;
+        if (currentTab === 'mine' && s.visibility && s.visibility !== 'private') {
+            badge += ` · ${VISIBILITY_LABELS[s.visibility] || ''}`;
+        }
+        if (currentTab === 'community' && !owned && storyRunsScripts(s)) {
+            badge += ' · <span class="badge-scripts" title="Runs its own JavaScript in play mode, sandboxed">Scripts</span>';
+        }
         const duplicateBtn = currentTab === 'community' && !owned
             ? `<button class="btn-duplicate-card" data-id="${s.id}" title="Duplicate to My Stories">
                 <svg viewBox="0 0 24 24"><rect x="9" y="9" width="13" height="13" rx="2"/><path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/></svg>
@@ -296,11 +475,7 @@ function renderStories() {
             if (!source) return;
 
             try {
-                await StoryDB.create({
-                    title: source.title + ' (Copy)',
-                    startPassage: source.startPassage,
-                    passages: deepClone(source.passages)
-                });
+                await StoryDB.create(storyCopy(source, source.title + ' (Copy)'));
                 showToast('Duplicated to My Stories!');
             } catch (err) {
                 console.error(err);
@@ -358,8 +533,9 @@ $('newStoryForm').addEventListener('submit', async e => {
     }
 });
 
-function openStory(id) {
-    currentStory = stories.find(s => s.id === id) || communityStories.find(s => s.id === id);
+// story is passed when it isn't in either library list, e.g. opened from a link
+function openStory(id, story = null) {
+    currentStory = story || stories.find(s => s.id === id) || communityStories.find(s => s.id === id);
     if (!currentStory) return;
 
     libraryView.classList.add('hidden');
@@ -368,27 +544,59 @@ function openStory(id) {
 
     storyTitle.textContent = currentStory.title;
 
-    // Toggle UI based on ownership
-    const owned = isOwner(currentStory);
-    $('addPassageBtn').style.display = owned ? '' : 'none';
-    $('renameStoryBtn').style.display = owned ? '' : 'none';
-    $('deleteStoryBtn').style.display = owned ? '' : 'none';
-    $('duplicateStoryBtn').style.display = '';
+    applyPermissions();
 
+    undoHistory.clear();
     renderer.setStory(currentStory);
+    renderer.setTagFilter(null);
     player.setStory(currentStory);
+    minimap.setStory(currentStory);
     canvas.reset();
     renderer.render();
+    centerOnStart();
+    startCollaboration(currentStory.id);
+
+    if (!getRole(currentStory) && storyRunsScripts(currentStory)) {
+        showToast('This story contains JavaScript. It only runs in play mode, sandboxed, if you allow it.', 6000);
+    }
+}
+
+// Toggle UI based on the user's role; re-run when a collaborator changes it
+function applyPermissions() {
+    const editable = canEdit(currentStory);
+    const owned = isOwner(currentStory);
+    $('addPassageBtn').style.display = editable ? '' : 'none';
+    $('renameStoryBtn').style.display = editable ? '' : 'none';
+    $('deleteStoryBtn').style.display = owned ? '' : 'none';
+    $('shareStoryBtn').style.display = owned ? '' : 'none';
+    $('arrangeBtn').style.display = editable ? '' : 'none';
+    $('tagColorsBtn').style.display = editable ? '' : 'none';
+    $('stylesheetBtn').style.display = editable ? '' : 'none';
+    $('scriptBtn').style.display = editable ? '' : 'none';
+    $('duplicateStoryBtn').style.display = '';
+    $('undoBtn').style.display = editable ? '' : 'none';
+    $('redoBtn').style.display = editable ? '' : 'none';
+    renderSelectionBar(renderer.getSelection());
 }
 
 $('backBtn').addEventListener('click', closeStory);
 
 function closeStory() {
+    saveNudge();
+    closeContextMenus();
+    closeSearchPanel();
+    $('checkPanel').classList.remove('active');
     canvasView.classList.remove('active');
     toolbar.classList.remove('active');
     libraryView.classList.remove('hidden');
+    if (location.hash.startsWith('#/story/')) {
+        history.replaceState(null, '', location.pathname + location.search);
+    }
+    stopCollaboration();
     currentStory = null;
+    undoHistory.clear();
     renderer.setStory(null);
+    minimap.setStory(null);
     loadStories();
 }
 
@@ -403,7 +611,7 @@ document.addEventListener('click', () => {
 });
 
 $('renameStoryBtn').addEventListener('click', () => {
-    if (!isOwner(currentStory)) return;
+    if (!canEdit(currentStory)) return;
     $('renameTitle').value = currentStory.title;
     $('renameModal').classList.add('active');
     $('renameTitle').focus();
@@ -413,7 +621,7 @@ $('cancelRename').addEventListener('click', () => $('renameModal').classList.rem
 
 $('renameForm').addEventListener('submit', async e => {
     e.preventDefault();
-    if (!isOwner(currentStory)) { showToast('Only the owner can rename'); return; }
+    if (!canEdit(currentStory)) { showToast('Only editors can rename'); return; }
     const title = $('renameTitle').value.trim();
     if (!title) return;
 
@@ -437,17 +645,28 @@ $('duplicateStoryBtn').addEventListener('click', () => {
 
 $('cancelDuplicate').addEventListener('click', () => $('duplicateModal').classList.remove('active'));
 
+// Everything that's part of a story, under a new title; as on import, its
+// JavaScript stays off until the copy's owner enables it
+function storyCopy(source, title) {
+    return {
+        title,
+        startPassage: source.startPassage,
+        passages: deepClone(source.passages),
+        tags: source.tags || '',
+        tagColors: deepClone(source.tagColors || {}),
+        stylesheet: source.stylesheet || '',
+        javascript: source.javascript || '',
+        scriptsEnabled: false
+    };
+}
+
 $('duplicateForm').addEventListener('submit', async e => {
     e.preventDefault();
     const title = $('duplicateTitle').value.trim();
     if (!title) return;
 
     try {
-        await StoryDB.create({
-            title,
-            startPassage: currentStory.startPassage,
-            passages: deepClone(currentStory.passages)
-        });
+        await StoryDB.create(storyCopy(currentStory, title));
         $('duplicateModal').classList.remove('active');
         showToast('Duplicated!');
         stories = await StoryDB.getAll();
@@ -471,6 +690,210 @@ $('deleteStoryBtn').addEventListener('click', async () => {
     }
 });
 
+// =====================================================
+// SHARING
+// =====================================================
+$('shareStoryBtn').addEventListener('click', () => {
+    if (!isOwner(currentStory)) return;
+    $('shareEmail').value = '';
+    $('shareRole').value = 'editor';
+    renderShareList();
+    $('shareModal').classList.add('active');
+    if (backendFeatures.sharing) $('shareEmail').focus();
+});
+
+// Backends without other accounts (local) can only change visibility
+if (!backendFeatures.sharing) {
+    $('shareInviteHint').style.display = 'none';
+    $('shareForm').style.display = 'none';
+}
+
+$('closeShareBtn').addEventListener('click', () => $('shareModal').classList.remove('active'));
+
+$('shareForm').addEventListener('submit', async e => {
+    e.preventDefault();
+    if (!isOwner(currentStory)) return;
+    const email = $('shareEmail').value.trim().toLowerCase();
+    const role = $('shareRole').value;
+    if (!email) return;
+
+    if (Object.values(currentStory.collaborators || {}).some(c => c.email === email)) {
+        showToast(`${email} already has access`);
+        return;
+    }
+
+    try {
+        await StoryDB.invite(currentStory.id, email, role);
+        currentStory.invitations = { ...currentStory.invitations, [email]: { role } };
+        $('shareEmail').value = '';
+        renderShareList();
+        showToast(`Invited ${email}`);
+    } catch (err) {
+        console.error(err);
+        showToast('Error sending invitation');
+    }
+});
+
+const VISIBILITY_LABELS = { private: 'Private', unlisted: 'Unlisted', public: 'Public' };
+
+$('visibilitySelect').addEventListener('change', async () => {
+    if (!isOwner(currentStory)) return;
+    const select = $('visibilitySelect');
+    const visibility = select.value;
+    const previous = currentStory.visibility || 'private';
+
+    try {
+        await StoryDB.update(currentStory.id, { visibility });
+        currentStory.visibility = visibility;
+        updateShareLink();
+        showToast(`Story is now ${VISIBILITY_LABELS[visibility].toLowerCase()}`);
+    } catch (err) {
+        console.error(err);
+        showToast('Error changing visibility');
+        select.value = previous;
+    }
+});
+
+// Private stories have no link: only members could open it
+function updateShareLink() {
+    const visibility = currentStory?.visibility || 'private';
+    $('visibilitySelect').value = visibility;
+    $('shareLinkRow').classList.toggle('hidden', visibility === 'private');
+    $('shareLink').value = currentStory ? storyLink(currentStory.id) : '';
+}
+
+// Play links use the public player, so readers don't need an account
+function storyLink(id, play = false) {
+    const route = play ? '#/play/' : '#/story/';
+    return `${location.origin}${location.pathname}${route}${encodeURIComponent(id)}`;
+}
+
+async function copyLink(link) {
+    try {
+        await navigator.clipboard.writeText(link);
+        showToast('Link copied');
+    } catch (err) {
+        $('shareLink').value = link;
+        $('shareLink').select();
+        showToast('Press Ctrl+C to copy the link');
+    }
+}
+
+$('copyLinkBtn').addEventListener('click', () => copyLink(storyLink(currentStory.id)));
+$('copyPlayLinkBtn').addEventListener('click', () => copyLink(storyLink(currentStory.id, true)));
+
+// #/story/<id> opens a shared story read-only (unless the user has a role on it),
+// #/story/<id>/play opens it straight into play mode
+async function openLinkedStory() {
+    const match = location.hash.match(/^#\/story\/([^/]+)(\/play)?$/);
+    if (!match) return;
+    const id = decodeURIComponent(match[1]);
+    if (currentStory?.id === id) return;
+
+    try {
+        const story = await StoryDB.get(id);
+        if (!story) {
+            showToast('Story not found');
+            return;
+        }
+        openStory(id, story);
+        if (match[2]) {
+            $('playModal').classList.add('active');
+            playStory(player, story, story.startPassage || 'Start');
+        }
+    } catch (err) {
+        console.error(err);
+        showToast('This story is private');
+    }
+}
+
+window.addEventListener('hashchange', () => {
+    if (app.classList.contains('active')) openLinkedStory();
+});
+
+function roleSelect(value) {
+    const select = document.createElement('select');
+    ROLES.forEach(role => select.add(new Option(ROLE_LABELS[role], role, false, role === value)));
+    return select;
+}
+
+function shareRow(email, ...controls) {
+    const row = document.createElement('div');
+    row.className = 'share-row';
+    const label = document.createElement('span');
+    label.className = 'share-row-email';
+    label.textContent = email;
+    row.append(label, ...controls);
+    return row;
+}
+
+function renderShareList() {
+    const list = $('shareList');
+    list.innerHTML = '';
+    if (!currentStory) return;
+    updateShareLink();
+    const storyId = currentStory.id;
+
+    const creator = document.createElement('span');
+    creator.className = 'share-row-role';
+    creator.textContent = 'Owner';
+    const you = currentStory.ownerId === AuthService.getCurrentUserId();
+    list.appendChild(shareRow(you ? 'You (creator)' : 'Story creator', creator));
+
+    Object.entries(currentStory.collaborators || {}).forEach(([uid, collaborator]) => {
+        const select = roleSelect(collaborator.role);
+        select.addEventListener('change', async () => {
+            try {
+                await StoryDB.setCollaboratorRole(storyId, uid, select.value);
+                showToast(`${collaborator.email} is now ${ROLE_LABELS[select.value].toLowerCase()}`);
+            } catch (err) {
+                console.error(err);
+                showToast('Error changing role');
+                select.value = collaborator.role;
+            }
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-secondary btn-small';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', async () => {
+            if (!confirm(`Remove ${collaborator.email} from this story?`)) return;
+            try {
+                await StoryDB.removeCollaborator(storyId, uid);
+                showToast('Access revoked');
+            } catch (err) {
+                console.error(err);
+                showToast('Error revoking access');
+            }
+        });
+
+        list.appendChild(shareRow(collaborator.email, select, remove));
+    });
+
+    Object.entries(currentStory.invitations || {}).forEach(([email, invitation]) => {
+        const role = document.createElement('span');
+        role.className = 'share-row-role';
+        role.textContent = `Invited · ${ROLE_LABELS[invitation.role] || invitation.role}`;
+
+        const cancel = document.createElement('button');
+        cancel.className = 'btn btn-secondary btn-small';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', async () => {
+            try {
+                await StoryDB.cancelInvitation(storyId, email);
+                if (currentStory?.invitations) delete currentStory.invitations[email];
+                renderShareList();
+                showToast('Invitation cancelled');
+            } catch (err) {
+                console.error(err);
+                showToast('Error cancelling invitation');
+            }
+        });
+
+        list.appendChild(shareRow(email, role, cancel));
+    });
+}
+
 // =====================================================
 // EXPORT
 // =====================================================
@@ -543,16 +966,9 @@ $('importForm').addEventListener('submit', async e => {
                 return;
             }
 
-            // Sanitize: strip script tags from stylesheet, clear javascript
-            // (javascript field is not used by this app and is an XSS risk in exports)
-            const safeStylesheet = (story.stylesheet || '')
-                .replace(/<script[\s\S]*?<\/script>/gi, '')
-                .replace(/expression\s*\(/gi, '')
-                .replace(/javascript\s*:/gi, '')
-                .replace(/@import\b/gi, '/* @import */')
-                .replace(/url\s*\(\s*['"]?\s*data\s*:/gi, 'url(/* blocked */')
-                .replace(/behavior\s*:/gi, '/* behavior: */')
-                .replace(/-moz-binding\s*:/gi, '/* -moz-binding: */');
+            // Sanitize the stylesheet. JavaScript is kept but stays off until the
+            // author enables it, and then only runs in a sandboxed frame
+            const safeStylesheet = sanitizeStylesheet(story.stylesheet);
 
             // Sanitize passage names to prevent prototype pollution
             const reserved = ['__proto__', 'constructor', 'prototype', 'hasOwnProperty', 'toString', 'valueOf'];
@@ -583,12 +999,15 @@ $('importForm').addEventListener('submit', async e => {
                 zoom: story.zoom,
                 tags: story.tags,
                 stylesheet: safeStylesheet,
-                javascript: '',
+                javascript: story.javascript || '',
+                scriptsEnabled: false,
                 tagColors: story.tagColors
             });
 
             $('importModal').classList.remove('active');
-            showToast('Imported successfully!');
+            showToast(story.javascript?.trim()
+                ? 'Imported! Its JavaScript is off until you enable it in Story JavaScript...'
+                : 'Imported successfully!', story.javascript?.trim() ? 5000 : 2500);
             loadStories();
         } catch (err) {
             console.error(err);
@@ -604,21 +1023,72 @@ $('importForm').addEventListener('submit', async e => {
 $('zoomInBtn').addEventListener('click', () => canvas.zoomIn());
 $('zoomOutBtn').addEventListener('click', () => canvas.zoomOut());
 
+// Zoom out (up to 100%) until every passage is in view
+function zoomToFit() {
+    const bounds = currentStory && passageBounds(Object.values(currentStory.passages || {}));
+    if (bounds) canvas.fitBounds(bounds);
+}
+
+function centerOnStart() {
+    const start = currentStory?.passages?.[currentStory.startPassage];
+    if (start) canvas.centerOn((start.x || 100) + 80, (start.y || 100) + 50);
+}
+
+$('zoomFitBtn').addEventListener('click', zoomToFit);
+$('centerStartBtn').addEventListener('click', centerOnStart);
+
+// Snapping and the minimap are preferences of this browser, not of the story
+const MINIMAP_KEY = 'twineed-minimap';
+
+function setMinimapVisible(visible) {
+    minimap.setVisible(visible);
+    $('minimapBtn').classList.toggle('active', visible);
+    localStorage.setItem(MINIMAP_KEY, String(visible));
+}
+
+$('minimapBtn').addEventListener('click', () => setMinimapVisible(!minimap.isVisible()));
+setMinimapVisible(localStorage.getItem(MINIMAP_KEY) !== 'false');
+
+const SNAP_TO_GRID_KEY = 'twineed-snap-to-grid';
+
+function setSnapToGrid(enabled) {
+    canvas.setSnapToGrid(enabled);
+    $('snapGridBtn').classList.toggle('active', enabled);
+    $('snapGridBtn').title = enabled ? 'Snap to grid (on)' : 'Snap to grid';
+    localStorage.setItem(SNAP_TO_GRID_KEY, String(enabled));
+}
+
+$('snapGridBtn').addEventListener('click', () => setSnapToGrid(!canvas.snapToGrid));
+setSnapToGrid(localStorage.getItem(SNAP_TO_GRID_KEY) === 'true');
+
+// Positions of the story's passages other than names, for overlap checks
+function occupiedPositions(names) {
+    const excluded = new Set(names);
+    return Object.values(currentStory.passages).filter(p => !excluded.has(p.name));
+}
+
 // =====================================================
 // ADD PASSAGE
 // =====================================================
 $('addPassageBtn').addEventListener('click', async () => {
-    if (!currentStory || !isOwner(currentStory)) return;
+    const name = await addPassage(canvas.getCenterPosition());
+    if (name) openPassageEditor(name);
+});
+
+// Add a passage at or near position ({ x, y } on the canvas); resolves to its name, or null
+async function addPassage(position, content = '') {
+    if (!currentStory || !canEdit(currentStory)) return null;
 
     const name = generatePassageName(currentStory.passages);
     const nameError = validatePassageName(name);
     if (nameError) {
         showToast(nameError);
-        return;
+        return null;
     }
-    const pos = canvas.getCenterPosition();
+    const pos = findClearPosition(position.x, position.y, occupiedPositions([]), canvas.gridSize);
 
-    const passage = { name, content: '', x: pos.x, y: pos.y };
+    const passage = { name, content, x: pos.x, y: pos.y };
+    const before = beginEdit();
 
     try {
         await StoryDB.update(currentStory.id, {
@@ -628,14 +1098,16 @@ $('addPassageBtn').addEventListener('click', async () => {
         // Update local state only after DB success
         if (!currentStory.passages) currentStory.passages = {};
         currentStory.passages[name] = passage;
+        recordEdit('Add passage', before);
 
         renderer.render();
-        openPassageEditor(name);
+        return name;
     } catch (err) {
         console.error(err);
         showToast('Error adding passage');
+        return null;
     }
-});
+}
 
 // =====================================================
 // PASSAGE EDITOR
@@ -646,15 +1118,24 @@ function openPassageEditor(name) {
 
     renderer.setSelectedPassage(name);
 
-    const owned = isOwner(currentStory);
+    const editable = canEdit(currentStory);
     $('passageNameInput').value = passage.name;
-    $('passageNameInput').readOnly = !owned;
+    $('passageNameInput').readOnly = !editable;
     $('passageContentInput').value = passage.content || '';
-    $('passageContentInput').readOnly = !owned;
-    $('deletePassageBtn').style.display = owned ? '' : 'none';
-    $('setStartPassageBtn').style.display = owned ? '' : 'none';
+    $('passageContentInput').readOnly = !editable;
+    $('passageTagInput').value = '';
+    editorTags = [...passageTags(passage)];
+    renderEditorTags();
+    $('deletePassageBtn').style.display = editable ? '' : 'none';
+    $('setStartPassageBtn').style.display = editable ? '' : 'none';
+    $('passageConflict').classList.remove('active');
     $('passageModal').classList.add('active');
     $('passageContentInput').focus();
+
+    // What the editor started from, to tell collaborators' changes from ours
+    editorBase = { name, passage: deepClone(passage), content: passage.content || '' };
+    updatePresence();
+    loadComments(name);
 }
 
 $('closePassageBtn').addEventListener('click', closePassageEditor);
@@ -671,16 +1152,17 @@ async function closePassageEditor() {
         return;
     }
 
-    // Non-owners can only view, not save
-    if (!isOwner(currentStory)) {
-        renderer.setSelectedPassage(null);
-        $('passageModal').classList.remove('active');
+    // Viewers and commenters can't change passages
+    if (!canEdit(currentStory)) {
+        hidePassageEditor();
         return;
     }
 
     const oldName = selectedPassage;
     const newName = $('passageNameInput').value.trim() || oldName;
     const content = $('passageContentInput').value;
+    addEditorTag($('passageTagInput').value); // a tag typed but not yet entered
+    const tags = [...editorTags];
 
     // Validate new name if changed
     if (newName !== oldName) {
@@ -691,6 +1173,31 @@ async function closePassageEditor() {
         }
     }
 
+    // A collaborator deleted or renamed the passage while it was open
+    const restoring = !currentStory.passages[oldName];
+    if (restoring && !confirm(`"${oldName}" was removed by a collaborator. Restore it with your changes?`)) {
+        hidePassageEditor();
+        return;
+    }
+
+    if (!restoring && $('passageConflict').classList.contains('active') && content !== editorBase.content &&
+        !confirm(`"${oldName}" was changed by a collaborator while you were editing. Overwrite their changes with yours?`)) {
+        return;
+    }
+
+    // Links added in this edit to passages that don't exist yet: create them
+    const source = currentStory.passages[oldName] || editorBase.passage;
+    const created = buildLinkedPassages(source, content, newName);
+    const createdNames = Object.keys(created);
+    const before = beginEdit();
+    const tagsChanged = tags.join(' ') !== passageTags(source).join(' ');
+
+    // Nothing changed: don't write over collaborators' edits
+    if (!restoring && newName === oldName && content === (source.content || '') && !tagsChanged && !createdNames.length) {
+        hidePassageEditor();
+        return;
+    }
+
     try {
         if (newName !== oldName) {
             // Check for name collision
@@ -701,93 +1208,467 @@ async function closePassageEditor() {
 
             // Rename passage (deep clone to avoid mutating local state before DB success)
             const passages = deepClone(currentStory.passages);
-            const passage = passages[oldName];
             delete passages[oldName];
-            passages[newName] = { ...passage, name: newName, content };
+            passages[newName] = { ...deepClone(source), name: newName, content, tags };
+            Object.assign(passages, deepClone(created));
 
             // Update link references in all other passages
             Object.values(passages).forEach(p => {
                 if (p.name === newName) return; // skip the renamed passage itself
-                if (!p.content) return;
-                p.content = p.content
-                    .replace(/\[\[([^\]]*?)\|([^\]]*?)\]\]/g, (m, display, target) =>
-                        target.trim() === oldName ? `[[${display}|${newName}]]` : m)
-                    .replace(/\[\[([^\]]*?)->([^\]]*?)\]\]/g, (m, display, target) =>
-                        target.trim() === oldName ? `[[${display}->${newName}]]` : m)
-                    .replace(/\[\[([^\]|>]*?)\]\]/g, (m, target) =>
-                        target.trim() === oldName ? `[[${newName}]]` : m);
+                p.content = storyRuntime.retargetLinks(p.content, oldName, newName);
             });
 
             let startPassage = currentStory.startPassage;
             if (startPassage === oldName) startPassage = newName;
 
-            await StoryDB.setPassages(currentStory.id, passages, startPassage);
+            // Write only the passages that changed so collaborators' other edits survive
+            const change = diffSnapshots(before, { passages, startPassage });
+            await StoryDB.applyPassageChanges(currentStory.id, change.passages, change.startPassage);
 
             currentStory.passages = passages;
             currentStory.startPassage = startPassage;
         } else {
-            // Just update content
-            await StoryDB.updatePassage(currentStory.id, oldName, { content });
-            currentStory.passages[oldName].content = content;
+            // Update content and create new linked passages in the same write
+            const changes = tagsChanged ? { content, tags } : { content };
+            const passage = restoring ? { ...source, ...changes } : changes;
+            await StoryDB.updatePassages(currentStory.id, { ...created, [oldName]: passage });
+            currentStory.passages[oldName] = { ...source, ...changes };
+            Object.assign(currentStory.passages, created);
         }
+        recordEdit(newName !== oldName ? 'Rename passage' : 'Edit passage', before);
 
-        renderer.setSelectedPassage(null);
-        $('passageModal').classList.remove('active');
+        hidePassageEditor();
         renderer.render();
+
+        if (createdNames.length) {
+            const storyId = currentStory.id;
+            const message = createdNames.length === 1
+                ? `Created passage "${createdNames[0]}"`
+                : `Created ${createdNames.length} passages`;
+            showToast(message, 6000, {
+                label: 'Undo',
+                onClick: () => removeLinkedPassages(storyId, createdNames)
+            });
+        }
     } catch (err) {
         console.error(err);
         showToast('Error saving passage');
     }
 }
 
-$('previewPassageBtn').addEventListener('click', async () => {
-    const selectedPassage = renderer.getSelectedPassage();
-    if (!selectedPassage) return;
+function hidePassageEditor() {
+    renderer.setSelectedPassage(null);
+    $('passageModal').classList.remove('active');
+    editorBase = null;
+    updatePresence();
+}
 
-    // Persist current content before preview
-    const content = $('passageContentInput').value;
-    if (currentStory.passages[selectedPassage]) {
-        currentStory.passages[selectedPassage].content = content;
-        if (isOwner(currentStory)) {
-            try {
-                await StoryDB.updatePassage(currentStory.id, selectedPassage, { content });
-            } catch (err) {
-                console.error(err);
-                showToast('Error saving passage before preview');
-            }
+$('useTheirsBtn').addEventListener('click', () => {
+    $('passageContentInput').value = editorBase.content;
+    $('passageConflict').classList.remove('active');
+});
+
+$('keepMineBtn').addEventListener('click', () => {
+    $('passageConflict').classList.remove('active');
+});
+
+// =====================================================
+// PASSAGE TAGS
+// =====================================================
+function renderEditorTags() {
+    const editable = canEdit(currentStory);
+    const list = $('passageTagsList');
+    list.innerHTML = '';
+
+    editorTags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.dataset.color = tagColor(currentStory.tagColors, tag) || '';
+        chip.textContent = tag;
+        if (editable) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'tag-chip-remove';
+            remove.title = `Remove tag "${tag}"`;
+            remove.textContent = '×';
+            remove.addEventListener('click', () => {
+                editorTags = editorTags.filter(t => t !== tag);
+                renderEditorTags();
+            });
+            chip.appendChild(remove);
         }
+        list.appendChild(chip);
+    });
+
+    $('passageTagInput').style.display = editable ? '' : 'none';
+    $('passageTags').classList.toggle('active', editable || editorTags.length > 0);
+
+    // Autocomplete from the story's other tags
+    const suggestions = $('tagSuggestions');
+    suggestions.innerHTML = '';
+    Object.keys(storyTags(currentStory))
+        .filter(tag => !editorTags.includes(tag))
+        .forEach(tag => {
+            const option = document.createElement('option');
+            option.value = tag;
+            suggestions.appendChild(option);
+        });
+}
+
+function addEditorTag(text) {
+    const added = text.split(',').map(normalizeTag).filter(tag => tag && !editorTags.includes(tag));
+    $('passageTagInput').value = '';
+    if (!added.length) return;
+    editorTags = [...editorTags, ...new Set(added)];
+    renderEditorTags();
+}
+
+$('passageTagInput').addEventListener('keydown', e => {
+    const input = e.target;
+    if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        addEditorTag(input.value);
+    } else if (e.key === 'Backspace' && !input.value && editorTags.length) {
+        editorTags = editorTags.slice(0, -1);
+        renderEditorTags();
     }
+});
 
-    $('passageModal').classList.remove('active');
-    $('playModal').classList.add('active');
-    player.play(selectedPassage);
+// Picking a suggestion replaces the input's value in one go
+$('passageTagInput').addEventListener('input', e => {
+    if (e.inputType === 'insertReplacementText' || !e.inputType) {
+        if (storyTags(currentStory)[e.target.value]) addEditorTag(e.target.value);
+    }
 });
 
-$('setStartPassageBtn').addEventListener('click', async () => {
-    if (!isOwner(currentStory)) return;
-    const selectedPassage = renderer.getSelectedPassage();
-    if (!selectedPassage) return;
+// =====================================================
+// TAG COLORS & TAG FILTER
+// =====================================================
+$('tagColorsBtn').addEventListener('click', () => {
+    if (!canEdit(currentStory)) return;
+    renderTagColors();
+    $('tagColorsModal').classList.add('active');
+});
+
+$('closeTagColorsBtn').addEventListener('click', () => $('tagColorsModal').classList.remove('active'));
+
+function renderTagColors() {
+    const list = $('tagColorsList');
+    const tags = storyTags(currentStory);
+    list.innerHTML = '';
+
+    if (!Object.keys(tags).length) {
+        list.innerHTML = '<p class="tag-colors-empty">No passages are tagged yet. Add tags in the passage editor.</p>';
+        return;
+    }
+
+    Object.entries(tags).forEach(([tag, count]) => {
+        const row = document.createElement('div');
+        row.className = 'tag-color-row';
+        const color = tagColor(currentStory.tagColors, tag) || '';
+        row.innerHTML = `
+            <span class="tag-chip" data-color="${color}">${esc(tag)}</span>
+            <span class="tag-color-count">${count === 1 ? '1 passage' : `${count} passages`}</span>
+        `;
+
+        const select = document.createElement('select');
+        select.add(new Option('No color', ''));
+        TAG_COLORS.forEach(c => select.add(new Option(c.charAt(0).toUpperCase() + c.slice(1), c)));
+        select.value = color;
+        select.addEventListener('change', () => setTagColor(tag, select.value));
+        row.appendChild(select);
+        list.appendChild(row);
+    });
+}
+
+async function setTagColor(tag, color) {
+    const tagColors = { ...currentStory.tagColors };
+    if (color) tagColors[tag] = color;
+    else delete tagColors[tag];
 
     try {
-        await StoryDB.update(currentStory.id, { startPassage: selectedPassage });
-        currentStory.startPassage = selectedPassage;
-        showToast('Start passage set');
+        await StoryDB.update(currentStory.id, { tagColors });
+        currentStory.tagColors = tagColors;
+        renderTagColors();
         renderer.render();
     } catch (err) {
         console.error(err);
-        showToast('Error setting start passage');
+        showToast('Error saving tag color');
+        renderTagColors();
     }
-});
+}
 
-$('deletePassageBtn').addEventListener('click', async () => {
-    if (!isOwner(currentStory)) return;
-    const selectedPassage = renderer.getSelectedPassage();
-    if (!selectedPassage) return;
+// Rebuilt on every render, as passages gain and lose tags
+function renderTagFilter() {
+    const select = $('tagFilter');
+    const tags = Object.keys(storyTags(currentStory));
+    const current = renderer.getTagFilter();
+    const kept = tags.includes(current) ? current : '';
+
+    select.innerHTML = '';
+    select.add(new Option('All tags', ''));
+    tags.forEach(tag => select.add(new Option(tag, tag)));
+    select.value = kept;
+    select.style.display = tags.length ? '' : 'none';
+    if (current && !kept) renderer.setTagFilter(null);
+}
 
-    if (Object.keys(currentStory.passages).length <= 1) {
-        showToast('Cannot delete the only passage');
-        return;
-    }
+$('tagFilter').addEventListener('change', e => renderer.setTagFilter(e.target.value));
+
+// =====================================================
+// STORY STYLESHEET
+// =====================================================
+const STYLESHEET_PREVIEW_DELAY = 200;
+const stylesheetPreview = new StoryPlayer($('stylesheetPreviewContent'), null, $('stylesheetPreview'));
+let stylesheetPreviewTimer = null;
+
+$('stylesheetBtn').addEventListener('click', () => {
+    if (!canEdit(currentStory)) return;
+    $('stylesheetInput').value = currentStory.stylesheet || '';
+    stylesheetPreview.setStory(currentStory);
+    stylesheetPreview.start(currentStory.startPassage || 'Start');
+    $('stylesheetModal').classList.add('active');
+    $('stylesheetInput').focus();
+});
+
+// Live preview of the draft on the story's start passage
+$('stylesheetInput').addEventListener('input', () => {
+    clearTimeout(stylesheetPreviewTimer);
+    stylesheetPreviewTimer = setTimeout(() => {
+        stylesheetPreview.setStylesheet($('stylesheetInput').value);
+    }, STYLESHEET_PREVIEW_DELAY);
+});
+
+$('cancelStylesheetBtn').addEventListener('click', closeStylesheetEditor);
+
+$('saveStylesheetBtn').addEventListener('click', async () => {
+    if (!canEdit(currentStory)) return;
+    const stylesheet = sanitizeStylesheet($('stylesheetInput').value);
+
+    try {
+        if (stylesheet !== (currentStory.stylesheet || '')) {
+            await StoryDB.update(currentStory.id, { stylesheet });
+            currentStory.stylesheet = stylesheet;
+            showToast('Stylesheet saved');
+        }
+        closeStylesheetEditor();
+    } catch (err) {
+        console.error(err);
+        showToast('Error saving stylesheet');
+    }
+});
+
+function closeStylesheetEditor() {
+    clearTimeout(stylesheetPreviewTimer);
+    $('stylesheetModal').classList.remove('active');
+    stylesheetPreview.setStory(null);
+}
+
+// =====================================================
+// STORY JAVASCRIPT
+// =====================================================
+$('scriptBtn').addEventListener('click', () => {
+    if (!canEdit(currentStory)) return;
+    $('scriptInput').value = currentStory.javascript || '';
+    $('scriptsEnabledInput').checked = !!currentStory.scriptsEnabled;
+    $('scriptModal').classList.add('active');
+    $('scriptInput').focus();
+});
+
+$('cancelScriptBtn').addEventListener('click', () => $('scriptModal').classList.remove('active'));
+
+$('saveScriptBtn').addEventListener('click', async () => {
+    if (!canEdit(currentStory)) return;
+    const javascript = $('scriptInput').value;
+    const scriptsEnabled = $('scriptsEnabledInput').checked;
+
+    try {
+        const changes = {};
+        // Whoever changes the script signs it, so collaborators know who to trust
+        if (javascript !== (currentStory.javascript || '')) {
+            Object.assign(changes, { javascript, scriptAuthorId: AuthService.getCurrentUserId() });
+        }
+        if (scriptsEnabled !== !!currentStory.scriptsEnabled) changes.scriptsEnabled = scriptsEnabled;
+        if (Object.keys(changes).length) {
+            await StoryDB.update(currentStory.id, changes);
+            Object.assign(currentStory, changes);
+            showToast('Story JavaScript saved');
+        }
+        $('scriptModal').classList.remove('active');
+    } catch (err) {
+        console.error(err);
+        showToast('Error saving story JavaScript');
+    }
+});
+
+// =====================================================
+// PASSAGE COMMENTS
+// =====================================================
+async function loadComments(passageName) {
+    const panel = $('passageComments');
+    $('passageCommentsList').innerHTML = '';
+    $('passageCommentForm').style.display = canComment(currentStory) ? '' : 'none';
+    panel.classList.toggle('active', canComment(currentStory));
+
+    try {
+        const comments = await StoryDB.getComments(currentStory.id, passageName);
+        if (editorBase?.name !== passageName) return; // editor moved on
+        renderComments(comments);
+    } catch (err) {
+        console.error(err);
+    }
+}
+
+function renderComments(comments) {
+    const list = $('passageCommentsList');
+    list.innerHTML = '';
+    const uid = AuthService.getCurrentUserId();
+    $('passageComments').classList.toggle('active', comments.length > 0 || canComment(currentStory));
+
+    comments.forEach(comment => {
+        const item = document.createElement('div');
+        item.className = 'passage-comment';
+        item.innerHTML = `<strong>${esc(comment.authorName)}</strong><span>${esc(comment.text)}</span>`;
+
+        if (comment.authorId === uid || isOwner(currentStory)) {
+            const remove = document.createElement('button');
+            remove.className = 'passage-comment-delete';
+            remove.title = 'Delete comment';
+            remove.textContent = '×';
+            remove.addEventListener('click', async () => {
+                try {
+                    await StoryDB.deleteComment(currentStory.id, comment.id);
+                    item.remove();
+                } catch (err) {
+                    console.error(err);
+                    showToast('Error deleting comment');
+                }
+            });
+            item.appendChild(remove);
+        }
+        list.appendChild(item);
+    });
+}
+
+$('passageCommentForm').addEventListener('submit', async e => {
+    e.preventDefault();
+    const text = $('passageCommentInput').value.trim();
+    if (!text || !editorBase || !canComment(currentStory)) return;
+
+    const passageName = editorBase.name;
+    try {
+        await StoryDB.addComment(currentStory.id, passageName, text);
+        $('passageCommentInput').value = '';
+        loadComments(passageName);
+    } catch (err) {
+        console.error(err);
+        showToast('Error adding comment');
+    }
+});
+
+// Spacing for passages created from links, fanned out in a row below their source
+const LINKED_PASSAGE_GAP_X = 200;
+const LINKED_PASSAGE_GAP_Y = 150;
+
+function overlapsPassage(x, y, passages) {
+    return passages.some(p => Math.abs((p.x || 100) - x) < 170 && Math.abs((p.y || 100) - y) < 110);
+}
+
+/**
+ * Build the passages to create for links that are new in content (compared
+ * to the source passage's saved content) and point at passages that don't exist.
+ */
+function buildLinkedPassages(source, content, sourceName) {
+    const before = new Set(renderer.extractLinks(source.content));
+    const names = [...new Set(renderer.extractLinks(content))].filter(name =>
+        !before.has(name) &&
+        name !== sourceName &&
+        !currentStory.passages[name] &&
+        !validatePassageName(name)
+    );
+
+    const created = {};
+    names.forEach((name, i) => {
+        const x = (source.x || 100) + (i - (names.length - 1) / 2) * LINKED_PASSAGE_GAP_X;
+        let y = (source.y || 100) + LINKED_PASSAGE_GAP_Y;
+        while (overlapsPassage(x, y, [...Object.values(currentStory.passages), ...Object.values(created)])) {
+            y += LINKED_PASSAGE_GAP_Y;
+        }
+        created[name] = { name, content: '', x, y };
+    });
+    return created;
+}
+
+// Undo for auto-created passages; leaves any that have been written in since
+async function removeLinkedPassages(storyId, names) {
+    if (currentStory?.id !== storyId) return;
+    const removable = names.filter(name => currentStory.passages[name] && !currentStory.passages[name].content);
+    if (!removable.length) return;
+
+    const before = beginEdit();
+    try {
+        await StoryDB.deletePassages(storyId, removable);
+        removable.forEach(name => delete currentStory.passages[name]);
+        recordEdit('Remove created passages', before);
+        renderer.render();
+    } catch (err) {
+        console.error(err);
+        showToast('Error removing passages');
+    }
+}
+
+$('previewPassageBtn').addEventListener('click', async () => {
+    const selectedPassage = renderer.getSelectedPassage();
+    if (!selectedPassage) return;
+
+    // Persist current content before preview
+    const content = $('passageContentInput').value;
+    if (currentStory.passages[selectedPassage]) {
+        const before = beginEdit();
+        currentStory.passages[selectedPassage].content = content;
+        if (canEdit(currentStory)) {
+            try {
+                await StoryDB.updatePassage(currentStory.id, selectedPassage, { content });
+                recordEdit('Edit passage', before);
+            } catch (err) {
+                console.error(err);
+                showToast('Error saving passage before preview');
+            }
+        }
+    }
+
+    $('passageModal').classList.remove('active');
+    $('playModal').classList.add('active');
+    playStory(player, currentStory, selectedPassage);
+});
+
+$('setStartPassageBtn').addEventListener('click', () => setStartPassage(renderer.getSelectedPassage()));
+
+async function setStartPassage(name) {
+    if (!canEdit(currentStory) || !name) return;
+
+    const before = beginEdit();
+    try {
+        await StoryDB.update(currentStory.id, { startPassage: name });
+        currentStory.startPassage = name;
+        recordEdit('Set start passage', before);
+        showToast('Start passage set');
+        renderer.render();
+    } catch (err) {
+        console.error(err);
+        showToast('Error setting start passage');
+    }
+}
+
+$('deletePassageBtn').addEventListener('click', async () => {
+    if (!canEdit(currentStory)) return;
+    const selectedPassage = renderer.getSelectedPassage();
+    if (!selectedPassage) return;
+
+    if (Object.keys(currentStory.passages).length <= 1) {
+        showToast('Cannot delete the only passage');
+        return;
+    }
 
     if (!confirm(`Delete "${selectedPassage}"?`)) return;
 
@@ -799,15 +1680,16 @@ $('deletePassageBtn').addEventListener('click', async () => {
         }
 
         // Atomic: delete passage and update start in one call
+        const before = beginEdit();
         await StoryDB.deletePassage(currentStory.id, selectedPassage, newStart);
         delete currentStory.passages[selectedPassage];
 
         if (newStart !== undefined) {
             currentStory.startPassage = newStart;
         }
+        recordEdit('Delete passage', before);
 
-        renderer.setSelectedPassage(null);
-        $('passageModal').classList.remove('active');
+        hidePassageEditor();
         renderer.render();
         showToast('Deleted');
     } catch (err) {
@@ -822,9 +1704,30 @@ $('deletePassageBtn').addEventListener('click', async () => {
 $('playBtn').addEventListener('click', () => {
     if (!currentStory) return;
     $('playModal').classList.add('active');
-    player.play(currentStory.startPassage || 'Start');
+    playStory(player, currentStory, currentStory.startPassage || 'Start');
 });
 
+// Everyone but whoever last wrote the script, the owner included, is asked
+// once before it runs; a new script or author asks again
+const scriptDecisions = new Map();
+
+function playStory(target, story, passageName) {
+    target.setScriptsAllowed(storyRunsScripts(story) && trustStoryScripts(story));
+    target.start(passageName);
+}
+
+function trustStoryScripts(story) {
+    const uid = AuthService.getCurrentUserId();
+    if (uid && story.scriptAuthorId === uid) return true;
+    if (!scriptDecisions.has(story.id)) {
+        scriptDecisions.set(story.id, confirm(
+            `"${story.title}" runs its own JavaScript. It is sandboxed away from your account, ` +
+            'but only run scripts from authors you trust.\n\nRun the story\'s JavaScript?'
+        ));
+    }
+    return scriptDecisions.get(story.id);
+}
+
 $('closePlayBtn').addEventListener('click', () => {
     $('playModal').classList.remove('active');
 });
@@ -834,9 +1737,1356 @@ $('playModal').addEventListener('click', e => {
 });
 
 // =====================================================
-// GLOBAL KEYBOARD SHORTCUTS
+// PUBLIC PLAY ROUTE - #/play/<storyId>
 // =====================================================
-document.addEventListener('keydown', e => {
+const publicPlayer = new StoryPlayer($('publicPlayContent'), $('publicPlayControls'), $('publicPlayerInner'));
+const appTitle = document.title;
+
+function playRouteId() {
+    const match = location.hash.match(/^#\/play\/([^/]+)$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Full-screen player for an unlisted or public story, without editor chrome
+async function showPublicPlayer(id) {
+    if (currentStory) closeStory();
+    loginScreen.classList.add('hidden');
+    app.classList.remove('active');
+    $('publicPlayer').classList.add('active');
+    $('publicPlayControls').innerHTML = '';
+    $('publicPlayContent').innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+
+    try {
+        const story = await StoryDB.get(id);
+        if (playRouteId() !== id) return;
+        if (!story) throw new Error('Story not found');
+
+        document.title = story.title;
+        publicPlayer.setStory(story);
+        playStory(publicPlayer, story, story.startPassage || 'Start');
+    } catch (err) {
+        console.error(err);
+        $('publicPlayContent').innerHTML = `
+            <div class="empty-state">
+                <h3>Story unavailable</h3>
+                <p>This story may be private or may have been deleted.</p>
+            </div>`;
+    }
+}
+
+function hidePublicPlayer() {
+    $('publicPlayer').classList.remove('active');
+    publicPlayer.setStory(null);
+    document.title = appTitle;
+    if (AuthService.getCurrentUserId()) {
+        showApp();
+    } else {
+        loginScreen.classList.remove('hidden');
+    }
+}
+
+window.addEventListener('hashchange', () => {
+    const id = playRouteId();
+    if (id) {
+        showPublicPlayer(id);
+    } else if ($('publicPlayer').classList.contains('active')) {
+        hidePublicPlayer();
+    }
+});
+
+if (playRouteId()) showPublicPlayer(playRouteId());
+
+// =====================================================
+// STORY CHECK
+// =====================================================
+const CHECK_SECTIONS = [
+    { key: 'brokenLinks', title: 'Broken links', hint: 'Links to passages that do not exist', severity: 'error' },
+    { key: 'unreachable', title: 'Unreachable', hint: 'Cannot be reached from the start passage', severity: 'warning' },
+    { key: 'orphans', title: 'Orphans', hint: 'No other passage links to these', severity: 'warning' },
+    { key: 'deadEnds', title: 'Dead ends', hint: 'No links out and not tagged "ending"', severity: 'warning' }
+];
+
+function renderCheckPanel(analysis) {
+    const count = analysis ? analysis.total : 0;
+    $('checkCount').textContent = count || '';
+    $('checkCount').classList.toggle('error', Boolean(analysis?.brokenLinks.length));
+
+    if (!$('checkPanel').classList.contains('active')) return;
+
+    const body = $('checkPanelBody');
+    body.innerHTML = '';
+    if (!analysis) return;
+
+    if (analysis.missingStart) {
+        body.innerHTML = '<p class="check-warning">The start passage does not exist. Set a start passage from the passage editor.</p>';
+    }
+    if (!count) {
+        body.insertAdjacentHTML('beforeend', '<p class="side-panel-empty">No problems found</p>');
+        return;
+    }
+
+    CHECK_SECTIONS.forEach(({ key, title, hint, severity }) => {
+        const items = analysis[key];
+        if (!items.length) return;
+
+        const section = document.createElement('section');
+        section.className = 'check-section';
+        section.innerHTML = `<h4 class="${severity}">${title} <span>${items.length}</span></h4><p>${hint}</p>`;
+
+        const list = document.createElement('ul');
+        items.forEach(item => {
+            // Broken links are { passage, target }; the other lists hold passage names
+            const name = typeof item === 'string' ? item : item.passage;
+            const li = document.createElement('li');
+            li.className = 'check-item';
+            li.textContent = typeof item === 'string' ? item : `${item.passage} \u2192 ${item.target}`;
+            li.title = 'Show on canvas';
+            li.addEventListener('click', () => focusPassage(name));
+            list.appendChild(li);
+        });
+        section.appendChild(list);
+        body.appendChild(section);
+    });
+}
+
+// Pan the canvas to a passage and select it
+function focusPassage(name) {
+    const passage = currentStory?.passages[name];
+    if (!passage) return;
+    canvas.centerOn((passage.x || 100) + 80, (passage.y || 100) + 50);
+    renderer.setSelectedPassage(name);
+}
+
+$('checkStoryBtn').addEventListener('click', () => {
+    $('checkPanel').classList.toggle('active');
+    if ($('checkPanel').classList.contains('active')) closeSearchPanel();
+    renderCheckPanel(renderer.getAnalysis());
+});
+
+$('closeCheckPanelBtn').addEventListener('click', () => {
+    $('checkPanel').classList.remove('active');
+});
+
+// =====================================================
+// FIND & REPLACE
+// =====================================================
+// Results of the current search, and the one last shown on the canvas
+let searchResults = [];
+let searchIndex = -1;
+// A replace waiting for confirmation: { storyId, matcher, replacement, result }
+let pendingReplace = null;
+
+function searchMatcher() {
+    return createMatcher($('searchInput').value, {
+        caseSensitive: $('searchCaseInput').checked,
+        regex: $('searchRegexInput').checked
+    });
+}
+
+function openSearchPanel() {
+    if (!currentStory) return;
+    $('checkPanel').classList.remove('active');
+    $('searchPanel').classList.add('active');
+    $('searchInput').focus();
+    $('searchInput').select();
+    runSearch();
+}
+
+function closeSearchPanel() {
+    $('searchPanel').classList.remove('active');
+    searchResults = [];
+    searchIndex = -1;
+    renderer.setSearchMatches([]);
+}
+
+// Re-run whenever the query or the story changes, while the panel is open
+function runSearch() {
+    if (!currentStory || !$('searchPanel').classList.contains('active')) return;
+    let matcher = null;
+    let error = null;
+    try {
+        matcher = searchMatcher();
+    } catch (err) {
+        error = `Invalid regex: ${err.message}`;
+    }
+    searchResults = searchPassages(currentStory, matcher);
+    searchIndex = Math.min(searchIndex, searchResults.length - 1);
+    renderer.setSearchMatches(searchResults.map(result => result.name));
+
+    const editable = canEdit(currentStory);
+    $('searchReplace').style.display = editable ? '' : 'none';
+    $('replaceAllBtn').disabled = !searchResults.length;
+    renderSearchResults(error);
+}
+
+function renderSearchResults(error) {
+    const total = searchResults.reduce((sum, r) => sum + r.nameMatches + r.contentMatches, 0);
+    const passages = searchResults.length === 1 ? '1 passage' : `${searchResults.length} passages`;
+    $('searchSummary').classList.toggle('error', Boolean(error));
+    $('searchSummary').textContent = error ||
+        (!$('searchInput').value ? '' : total ? `${total} ${total === 1 ? 'match' : 'matches'} in ${passages}` : 'No matches');
+
+    const body = $('searchResults');
+    body.innerHTML = '';
+    searchResults.forEach((result, i) => {
+        const item = document.createElement('div');
+        item.className = 'check-item search-item';
+        item.classList.toggle('current', i === searchIndex);
+        item.title = 'Show on canvas';
+        const excerpt = result.excerpt;
+        item.innerHTML = `<strong>${esc(result.name)}</strong>` +
+            (excerpt ? `<span>${esc(excerpt.before)}<mark>${esc(excerpt.match)}</mark>${esc(excerpt.after)}</span>` : '');
+        item.addEventListener('click', () => showSearchResult(i));
+        body.appendChild(item);
+    });
+}
+
+// Pan to a result, wrapping around at either end
+function showSearchResult(index) {
+    if (!searchResults.length) return;
+    searchIndex = (index + searchResults.length) % searchResults.length;
+    focusPassage(searchResults[searchIndex].name);
+    $('searchResults').querySelectorAll('.search-item').forEach((item, i) => {
+        item.classList.toggle('current', i === searchIndex);
+    });
+}
+
+$('searchBtn').addEventListener('click', () => {
+    if ($('searchPanel').classList.contains('active')) closeSearchPanel();
+    else openSearchPanel();
+});
+
+$('closeSearchPanelBtn').addEventListener('click', closeSearchPanel);
+
+$('searchInput').addEventListener('input', () => {
+    searchIndex = -1;
+    runSearch();
+});
+$('searchCaseInput').addEventListener('change', runSearch);
+$('searchRegexInput').addEventListener('change', runSearch);
+
+// Enter steps through the results, Shift+Enter backwards
+$('searchInput').addEventListener('keydown', e => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        showSearchResult(searchIndex + (e.shiftKey ? -1 : 1));
+    } else if (e.key === 'Escape') {
+        closeSearchPanel();
+        e.target.blur();
+    }
+});
+
+// Lines that differ, as [before, after] pairs; the whole text when lines were added or removed
+function changedLines(before, after) {
+    const beforeLines = before.split('\n');
+    const afterLines = after.split('\n');
+    if (beforeLines.length !== afterLines.length) return [[before, after]];
+    return beforeLines.map((line, i) => [line, afterLines[i]]).filter(([a, b]) => a !== b);
+}
+
+function renderReplacePreview({ changes, errors }) {
+    const renamed = changes.filter(change => change.newName !== change.name).length;
+    $('replaceSummary').textContent = `${changes.length} ${changes.length === 1 ? 'passage' : 'passages'} will change` +
+        (renamed ? `, ${renamed} renamed. Links to renamed passages are updated.` : '.') + ' You can undo it.';
+
+    const preview = $('replacePreview');
+    preview.innerHTML = errors.length
+        ? `<ul class="replace-errors">${errors.map(error => `<li>${esc(error)}</li>`).join('')}</ul>`
+        : '';
+    changes.forEach(change => {
+        const section = document.createElement('section');
+        const title = change.newName !== change.name ? `${change.name} \u2192 ${change.newName}` : change.name;
+        section.innerHTML = `<h4>${esc(title)}</h4>` + changedLines(change.before, change.after)
+            .map(([before, after]) => `<pre><del>${esc(before)}</del></pre><pre><ins>${esc(after)}</ins></pre>`)
+            .join('');
+        preview.appendChild(section);
+    });
+    $('confirmReplaceBtn').disabled = errors.length > 0;
+}
+
+$('replaceAllBtn').addEventListener('click', () => {
+    if (!currentStory || !canEdit(currentStory)) return;
+    let matcher;
+    try {
+        matcher = searchMatcher();
+    } catch {
+        return;
+    }
+    if (!matcher) return;
+
+    const replacement = $('replaceInput').value;
+    const result = replaceInPassages(currentStory, matcher, replacement);
+    if (!result.changes.length) {
+        showToast('Nothing to replace');
+        return;
+    }
+    pendingReplace = { storyId: currentStory.id, matcher, replacement, result };
+    renderReplacePreview(result);
+    $('replaceModal').classList.add('active');
+});
+
+$('cancelReplaceBtn').addEventListener('click', () => {
+    pendingReplace = null;
+    $('replaceModal').classList.remove('active');
+});
+
+// Every passage goes in one write, so the replace is all or nothing
+$('confirmReplaceBtn').addEventListener('click', async () => {
+    if (!pendingReplace || currentStory?.id !== pendingReplace.storyId || !canEdit(currentStory)) return;
+
+    // Collaborators' edits since the preview change what would be written: preview again
+    const { matcher, replacement } = pendingReplace;
+    const result = replaceInPassages(currentStory, matcher, replacement);
+    if (JSON.stringify(result.changes) !== JSON.stringify(pendingReplace.result.changes)) {
+        pendingReplace.result = result;
+        renderReplacePreview(result);
+        showToast('The story changed, check the preview again');
+        return;
+    }
+    if (result.errors.length) return;
+
+    $('replaceModal').classList.remove('active');
+    pendingReplace = null;
+    const startPassage = result.startPassage !== currentStory.startPassage ? result.startPassage : undefined;
+    const before = beginEdit();
+    try {
+        await StoryDB.setPassages(currentStory.id, result.passages, startPassage);
+        currentStory.passages = result.passages;
+        currentStory.startPassage = result.startPassage;
+        recordEdit('Replace all', before);
+        renderer.render();
+        const count = result.changes.length;
+        showToast(`Replaced in ${count} ${count === 1 ? 'passage' : 'passages'}`);
+    } catch (err) {
+        console.error(err);
+        showToast('Error replacing text');
+    }
+});
+
+// =====================================================
+// COLLABORATION - LIVE UPDATES & PRESENCE
+// =====================================================
+const PRESENCE_HEARTBEAT = 20000;
+const PRESENCE_TIMEOUT = 60000;
+const PRESENCE_COLORS = ['#ec4899', '#f97316', '#14b8a6', '#3b82f6', '#eab308', '#84cc16', '#06b6d4', '#f43f5e'];
+
+function startCollaboration(storyId) {
+    stopCollaboration();
+
+    const stopStory = StoryDB.subscribe(storyId, remote => {
+        if (currentStory?.id === storyId) applyRemoteStory(remote);
+    }, err => {
+        console.error(err);
+        showToast('Live updates unavailable');
+    });
+    const stopPresence = StoryDB.subscribePresence(storyId, entries => {
+        if (collaboration?.storyId !== storyId) return;
+        collaboration.entries = entries;
+        trackPresence(entries);
+        renderPresence();
+    });
+    const timer = setInterval(() => {
+        updatePresence(true);
+        renderPresence(); // drop collaborators whose heartbeat stopped
+    }, PRESENCE_HEARTBEAT);
+
+    collaboration = {
+        storyId,
+        entries: [],
+        // uid -> { stamp, seenAt }: when (on this device's clock) each entry last changed
+        seen: new Map(),
+        lastPresence: null,
+        stop() {
+            stopStory();
+            stopPresence();
+            clearInterval(timer);
+            StoryDB.clearPresence(storyId).catch(console.error);
+        }
+    };
+    updatePresence();
+}
+
+function stopCollaboration() {
+    if (!collaboration) return;
+    collaboration.stop();
+    collaboration = null;
+    pendingRemoteStory = null;
+    $('presenceList').innerHTML = '';
+}
+
+window.addEventListener('pagehide', stopCollaboration);
+
+/**
+ * Merge a snapshot of the open story into local state. keepPositionOf lists
+ * passages that were just dropped locally and keep their local positions.
+ */
+function applyRemoteStory(remote, keepPositionOf = null) {
+    if (!remote) {
+        showToast('This story was deleted');
+        closeStory();
+        return;
+    }
+    if (canvas.isDragging) {
+        pendingRemoteStory = remote;
+        return;
+    }
+
+    // Snapshots that only move updatedAt (the echo of our own writes) change nothing on the canvas
+    const drawn = story => JSON.stringify([story.passages, story.startPassage, story.tagColors]);
+    const before = drawn(currentStory);
+    if (remote.javascript !== currentStory.javascript || remote.scriptAuthorId !== currentStory.scriptAuthorId) {
+        scriptDecisions.delete(currentStory.id);
+    }
+
+    // The dropped and nudged passages stay where this user put them
+    const kept = {};
+    [...(keepPositionOf || []), ...nudgedPassages()].forEach(name => {
+        const passage = currentStory.passages[name];
+        if (passage) kept[name] = { x: passage.x, y: passage.y };
+    });
+    Object.assign(currentStory, remote);
+    Object.entries(kept).forEach(([name, position]) => {
+        if (currentStory.passages[name]) Object.assign(currentStory.passages[name], position);
+    });
+
+    storyTitle.textContent = currentStory.title;
+    applyPermissions();
+    if ($('shareModal').classList.contains('active')) renderShareList();
+    if (editorBase && $('passageModal').classList.contains('active')) {
+        checkEditorConflict();
+    } else if (!currentStory.passages[renderer.getSelectedPassage()]) {
+        renderer.setSelectedPassage(null);
+    }
+    if (drawn(currentStory) !== before) renderer.render();
+}
+
+// Pick up a collaborator's save of the passage being edited, or flag a conflict
+function checkEditorConflict() {
+    if (!canEdit(currentStory)) return;
+    const remote = currentStory.passages[editorBase.name];
+    const input = $('passageContentInput');
+
+    if (!remote) {
+        $('passageConflictMessage').textContent = 'A collaborator removed this passage. Closing will restore it.';
+        $('useTheirsBtn').style.display = 'none';
+        $('keepMineBtn').style.display = 'none';
+        $('passageConflict').classList.add('active');
+        return;
+    }
+
+    const theirs = remote.content || '';
+    if (theirs === editorBase.content) return;
+
+    const mine = input.value;
+    if (mine === editorBase.content) {
+        input.value = theirs; // no local edits yet: follow along
+    } else if (mine !== theirs) {
+        $('passageConflictMessage').textContent = 'A collaborator changed this passage while you were editing.';
+        $('useTheirsBtn').style.display = '';
+        $('keepMineBtn').style.display = '';
+        $('passageConflict').classList.add('active');
+    }
+    editorBase.content = theirs;
+    editorBase.passage = deepClone(remote);
+}
+
+// Tell collaborators which passage we are on; unchanged state is only re-sent as a heartbeat.
+// Readers of a public or unlisted story who aren't members don't appear.
+function updatePresence(heartbeat = false) {
+    if (!collaboration || !getRole(currentStory)) return;
+    const editing = !!editorBase && $('passageModal').classList.contains('active');
+    const state = {
+        passage: editing ? editorBase.name : renderer.getSelectedPassage(),
+        editing: editing && canEdit(currentStory)
+    };
+    const key = JSON.stringify(state);
+    if (!heartbeat && key === collaboration.lastPresence) return;
+    collaboration.lastPresence = key;
+    StoryDB.setPresence(collaboration.storyId, state).catch(console.error);
+}
+
+function presenceColor(uid) {
+    let hash = 0;
+    for (const ch of uid) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+    return PRESENCE_COLORS[Math.abs(hash) % PRESENCE_COLORS.length];
+}
+
+/**
+ * Note when each presence entry changed, so entries expire on this device's
+ * clock rather than by comparing it with server timestamps. An entry seen for
+ * the first time is aged on the server's clock, against the newest entry.
+ */
+function trackPresence(entries) {
+    const now = Date.now();
+    const newest = Math.max(0, ...entries.map(p => p.updatedAt?.seconds || 0));
+    entries.forEach(p => {
+        const stamp = p.updatedAt?.seconds ?? null;
+        const seen = collaboration.seen.get(p.uid);
+        if (seen && seen.stamp === stamp) return;
+        const age = seen || stamp === null ? 0 : (newest - stamp) * 1000;
+        collaboration.seen.set(p.uid, { stamp, seenAt: now - age });
+    });
+}
+
+function renderPresence() {
+    if (!collaboration) return;
+    const uid = AuthService.getCurrentUserId();
+    const now = Date.now();
+    const others = collaboration.entries
+        .filter(p => p.uid !== uid)
+        .filter(p => now - (collaboration.seen.get(p.uid)?.seenAt ?? now) < PRESENCE_TIMEOUT)
+        .map(p => ({ ...p, name: p.name || 'Anonymous', color: presenceColor(p.uid) }));
+
+    const list = $('presenceList');
+    list.innerHTML = '';
+    others.forEach(person => {
+        const avatar = document.createElement('span');
+        avatar.className = `presence-avatar ${person.editing ? 'editing' : ''}`;
+        avatar.style.background = person.color;
+        avatar.textContent = person.name.charAt(0).toUpperCase();
+        avatar.title = person.passage
+            ? `${person.name} - ${person.editing ? 'editing' : 'viewing'} "${person.passage}"`
+            : person.name;
+        list.appendChild(avatar);
+    });
+
+    const byPassage = {};
+    others.filter(p => p.passage).forEach(p => {
+        (byPassage[p.passage] = byPassage[p.passage] || []).push(p);
+    });
+    renderer.setPresence(byPassage);
+}
+
+// =====================================================
+// OFFLINE STATUS
+// =====================================================
+function renderSyncStatus({ online, pending, syncing }) {
+    const status = $('syncStatus');
+    const unsynced = pending === 1 ? '1 unsynced edit' : `${pending} unsynced edits`;
+    status.classList.toggle('offline', !online);
+    status.classList.toggle('syncing', online && syncing);
+
+    if (!online) {
+        status.textContent = pending ? `Offline · ${unsynced}` : 'Offline';
+        status.title = 'Edits are saved on this device and synced when you reconnect';
+    } else if (syncing || pending) {
+        status.textContent = 'Syncing...';
+        status.title = unsynced;
+    } else {
+        status.textContent = 'Online';
+        status.title = 'All changes saved';
+    }
+}
+
+OfflineSync.onStatusChange = renderSyncStatus;
+OfflineSync.onConflict = ({ title, copyTitle }) => {
+    showToast(`"${title}" changed while you were offline. Your version was saved as "${copyTitle}".`, 8000);
+    if (!currentStory) loadStories();
+};
+renderSyncStatus(OfflineSync.getStatus());
+$('syncStatus').style.display = backendFeatures.sync ? '' : 'none';
+
+window.addEventListener('online', () => {
+    if (AuthService.getCurrentUserId()) OfflineSync.flush();
+});
+
+// =====================================================
+// MULTI-SELECT & GROUP ACTIONS
+// =====================================================
+// Offset of duplicated passages from their originals
+const DUPLICATE_OFFSET = 40;
+
+function renderSelectionBar(names) {
+    const show = names.length > 1 && canEdit(currentStory);
+    $('selectionBar').style.display = show ? '' : 'none';
+    if (!show) return;
+    $('selectionCount').textContent = `${names.length} passages selected`;
+    // Distributing needs passages between the two ends
+    $('distributeHorizontalBtn').disabled = names.length < 3;
+    $('distributeVerticalBtn').disabled = names.length < 3;
+}
+
+function selectedPassages() {
+    return renderer.getSelection().map(name => currentStory.passages[name]).filter(Boolean);
+}
+
+// Save changes to several passages in one write, as one undoable step
+async function updateSelectedPassages(label, changes) {
+    if (!Object.keys(changes).length) return;
+    const before = beginEdit();
+    try {
+        await StoryDB.updatePassages(currentStory.id, changes);
+        Object.entries(changes).forEach(([name, data]) => {
+            currentStory.passages[name] = { ...currentStory.passages[name], ...data };
+        });
+        recordEdit(label, before);
+        renderer.render();
+    } catch (err) {
+        console.error(err);
+        showToast('Error updating passages');
+    }
+}
+
+function alignSelection(axis) {
+    const passages = selectedPassages();
+    const edge = Math.min(...passages.map(p => p[axis] || 100));
+    const changes = {};
+    passages.forEach(p => {
+        if ((p[axis] || 100) !== edge) changes[p.name] = { [axis]: edge };
+    });
+    updateSelectedPassages('Align passages', changes);
+}
+
+// Even spacing between the first and last passage along the axis
+function distributeSelection(axis) {
+    const passages = selectedPassages().sort((a, b) => (a[axis] || 100) - (b[axis] || 100));
+    if (passages.length < 3) return;
+    const first = passages[0][axis] || 100;
+    const step = ((passages[passages.length - 1][axis] || 100) - first) / (passages.length - 1);
+    const changes = {};
+    passages.forEach((p, i) => {
+        const position = Math.round(first + step * i);
+        if ((p[axis] || 100) !== position) changes[p.name] = { [axis]: position };
+    });
+    updateSelectedPassages('Distribute passages', changes);
+}
+
+$('alignLeftBtn').addEventListener('click', () => alignSelection('x'));
+$('alignTopBtn').addEventListener('click', () => alignSelection('y'));
+$('distributeHorizontalBtn').addEventListener('click', () => distributeSelection('x'));
+$('distributeVerticalBtn').addEventListener('click', () => distributeSelection('y'));
+
+function tagSelection() {
+    const tag = normalizeTag(prompt('Tag to add to the selected passages:') || '');
+    if (!tag) return;
+    const changes = {};
+    selectedPassages().forEach(p => {
+        const tags = passageTags(p);
+        if (!tags.includes(tag)) changes[p.name] = { tags: [...tags, tag] };
+    });
+    updateSelectedPassages('Tag passages', changes);
+}
+
+$('tagSelectionBtn').addEventListener('click', tagSelection);
+
+// Copies keep links between the duplicated passages pointing at each other
+async function duplicateSelection() {
+    if (!currentStory || !canEdit(currentStory)) return;
+    const passages = selectedPassages();
+    if (!passages.length) return;
+    const copies = clonePassages(passages, currentStory.passages, p => `${p.name} Copy`);
+    Object.values(copies).forEach(copy => {
+        copy.x = (copy.x || 100) + DUPLICATE_OFFSET;
+        copy.y = (copy.y || 100) + DUPLICATE_OFFSET;
+    });
+    await addCopies(copies, passages.length === 1 ? 'Duplicate passage' : 'Duplicate passages', 'Error duplicating passages');
+}
+
+// Add copied passages in one write, nudged clear of the others, and select them
+async function addCopies(copies, label, errorMessage) {
+    const { dx, dy } = findClearOffset(copies, Object.values(currentStory.passages), canvas.gridSize);
+    Object.values(copies).forEach(copy => {
+        copy.x += dx;
+        copy.y += dy;
+    });
+
+    const before = beginEdit();
+    try {
+        await StoryDB.updatePassages(currentStory.id, copies);
+        Object.assign(currentStory.passages, copies);
+        recordEdit(label, before);
+        renderer.render();
+        renderer.setSelection(Object.keys(copies));
+    } catch (err) {
+        console.error(err);
+        showToast(errorMessage);
+    }
+}
+
+$('duplicateSelectionBtn').addEventListener('click', duplicateSelection);
+
+// Cutting doesn't ask first: the passages are on the clipboard and undo brings them back
+async function deleteSelection({ cut = false } = {}) {
+    if (!currentStory || !canEdit(currentStory)) return;
+    const names = renderer.getSelection().filter(name => currentStory.passages[name]);
+    if (!names.length) return;
+
+    const remaining = Object.keys(currentStory.passages).filter(name => !names.includes(name));
+    if (!remaining.length) {
+        showToast(cut ? 'Cannot cut every passage' : 'Cannot delete every passage');
+        return;
+    }
+    const message = names.length === 1 ? `Delete "${names[0]}"?` : `Delete ${names.length} passages?`;
+    if (!cut && !confirm(message)) return;
+    if (cut) copyPassages(currentStory, names);
+
+    // Deleting the start passage moves the start to one that's left
+    const newStart = names.includes(currentStory.startPassage) ? remaining[0] : undefined;
+    const before = beginEdit();
+    try {
+        await StoryDB.deletePassages(currentStory.id, names, newStart);
+        names.forEach(name => delete currentStory.passages[name]);
+        if (newStart !== undefined) currentStory.startPassage = newStart;
+        const action = cut ? 'Cut' : 'Delete';
+        recordEdit(names.length === 1 ? `${action} passage` : `${action} passages`, before);
+        renderer.render();
+        showToast(cut ? 'Cut' : 'Deleted');
+    } catch (err) {
+        console.error(err);
+        showToast('Error deleting passages');
+    }
+}
+
+$('deleteSelectionBtn').addEventListener('click', () => deleteSelection());
+
+// =====================================================
+// COPY & PASTE
+// =====================================================
+// Anyone who can see a story can copy from it; pasting needs edit rights
+
+function copySelection() {
+    if (!currentStory) return;
+    const count = copyPassages(currentStory, renderer.getSelection());
+    if (count) showToast(count === 1 ? 'Copied 1 passage' : `Copied ${count} passages`);
+}
+
+/**
+ * Add the clipboard's passages with the group's top-left at position ({ x, y })
+ * or the nearest clear spot. Names already in the story get a number, and
+ * links between the pasted passages follow them.
+ */
+async function pastePassages(position) {
+    if (!currentStory || !canEdit(currentStory)) return;
+    const clipped = clipboardPassages();
+    if (!clipped.length) {
+        showToast('Nothing to paste');
+        return;
+    }
+    const copies = clonePassages(clipped, currentStory.passages);
+    Object.values(copies).forEach(copy => {
+        copy.x += position.x;
+        copy.y += position.y;
+    });
+    await addCopies(copies, clipped.length === 1 ? 'Paste passage' : 'Paste passages', 'Error pasting passages');
+}
+
+// =====================================================
+// AUTO-ARRANGE
+// =====================================================
+const ARRANGE_DURATION = 400;
+let arranging = false;
+
+$('arrangeBtn').addEventListener('click', openArrangeModal);
+
+function openArrangeModal() {
+    $('storyMenu').classList.remove('active');
+    if (!currentStory || !canEdit(currentStory)) return;
+    const hasSelection = renderer.getSelection().length > 1;
+    $('arrangeSelectedLabel').style.display = hasSelection ? '' : 'none';
+    $('arrangeSelectedInput').checked = hasSelection;
+    $('arrangeModal').classList.add('active');
+}
+
+$('cancelArrangeBtn').addEventListener('click', () => $('arrangeModal').classList.remove('active'));
+$('arrangeLayeredBtn').addEventListener('click', () => autoArrange('layered'));
+$('arrangeForceBtn').addEventListener('click', () => autoArrange('force'));
+
+// Ease the passages from where they are to targets: { name: { x, y } }
+function animatePassages(targets) {
+    const starts = {};
+    Object.keys(targets).forEach(name => {
+        const passage = currentStory.passages[name];
+        starts[name] = { x: passage.x || 100, y: passage.y || 100 };
+    });
+
+    return new Promise(resolve => {
+        let begin = null;
+        const frame = now => {
+            if (begin === null) begin = now;
+            const t = Math.min((now - begin) / ARRANGE_DURATION, 1);
+            const eased = 1 - Math.pow(1 - t, 3);
+            Object.entries(targets).forEach(([name, target]) => {
+                if (!currentStory?.passages[name]) return;
+                const start = starts[name];
+                renderer.movePassage(name,
+                    Math.round(start.x + (target.x - start.x) * eased),
+                    Math.round(start.y + (target.y - start.y) * eased));
+            });
+            renderer.renderConnections();
+            if (t < 1 && currentStory) requestAnimationFrame(frame);
+            else resolve();
+        };
+        requestAnimationFrame(frame);
+    });
+}
+
+async function autoArrange(kind) {
+    $('arrangeModal').classList.remove('active');
+    if (!currentStory || !canEdit(currentStory) || arranging) return;
+    const names = $('arrangeSelectedInput').checked && renderer.getSelection().length > 1
+        ? renderer.getSelection().filter(name => currentStory.passages[name])
+        : Object.keys(currentStory.passages);
+
+    // Large force layouts take a moment; the story may change or close meanwhile
+    const storyId = currentStory.id;
+    arranging = true;
+    let changes = {};
+    let before = null;
+    try {
+        const layout = await LAYOUTS[kind](currentStory, names, content => renderer.extractLinks(content));
+        if (currentStory?.id !== storyId) return;
+        Object.entries(layout).forEach(([name, position]) => {
+            const passage = currentStory.passages[name];
+            if (passage && ((passage.x || 100) !== position.x || (passage.y || 100) !== position.y)) changes[name] = position;
+        });
+        if (!Object.keys(changes).length) {
+            showToast('Already arranged');
+            return;
+        }
+
+        before = beginEdit();
+        await animatePassages(changes);
+    } catch (err) {
+        console.error(err);
+        showToast('Error arranging passages');
+        if (before && currentStory?.id === storyId) restorePositions(Object.keys(changes), before);
+        return;
+    } finally {
+        arranging = false;
+    }
+    if (currentStory?.id !== storyId) return;
+
+    // Positions go in one write, like a group drag
+    try {
+        await StoryDB.updatePassages(storyId, changes);
+        recordEdit('Auto-arrange', before);
+    } catch (err) {
+        console.error(err);
+        showToast('Error saving layout');
+        if (currentStory?.id === storyId) restorePositions(Object.keys(changes), before);
+    }
+}
+
+// Move passages back to where they were in the snapshot `before`, on screen
+// only, so the canvas matches the server after a move that wasn't saved
+function restorePositions(names, before) {
+    names.forEach(name => {
+        const start = before.passages[name];
+        if (start && currentStory.passages[name]) renderer.movePassage(name, start.x, start.y);
+    });
+    renderer.renderConnections();
+    minimap.update();
+}
+
+// =====================================================
+// CONTEXT MENUS
+// =====================================================
+// The passage the passage menu was opened on, and the canvas position the canvas menu was
+let menuPassage = null;
+let menuPosition = null;
+
+// Right click, or a long press on touch screens
+canvasView.addEventListener('contextmenu', e => {
+    if (!currentStory || e.target.closest('.minimap, .selection-bar')) return;
+    e.preventDefault();
+    canvasMenu.close();
+    passageMenu.close();
+
+    const node = e.target.closest('.passage-node');
+    if (node) openPassageMenu(node.dataset.name, e);
+    else openCanvasMenu(e);
+});
+
+function openCanvasMenu(e) {
+    const editable = canEdit(currentStory);
+    const point = canvas.toCanvasPoint(e);
+    menuPosition = canvas.snapPoint(point.x, point.y);
+    $('newPassageHereBtn').style.display = editable ? '' : 'none';
+    $('pasteHereBtn').style.display = editable ? '' : 'none';
+    $('pasteHereBtn').disabled = !clipboardPassages().length;
+    $('pasteTextHereBtn').style.display = editable ? '' : 'none';
+    $('arrangeCanvasBtn').style.display = editable ? '' : 'none';
+    canvasMenu.open(e.clientX, e.clientY);
+}
+
+// Group actions apply to the whole selection when the passage is part of one
+function openPassageMenu(name, e) {
+    // As with a click, a passage outside the selection becomes the selection
+    if (!renderer.isSelected(name)) renderer.setSelection([name]);
+    menuPassage = name;
+
+    const editable = canEdit(currentStory);
+    const count = renderer.getSelection().length;
+    ['passageRenameBtn', 'passageCutBtn', 'passageDuplicateBtn', 'passageTagsBtn', 'passageSetStartBtn', 'passageDeleteBtn'].forEach(id => {
+        $(id).style.display = editable ? '' : 'none';
+    });
+    $('passageEditBtn').textContent = editable ? 'Edit' : 'Open';
+    $('passageCopyBtn').textContent = count > 1 ? `Copy ${count} Passages` : 'Copy';
+    $('passageCutBtn').textContent = count > 1 ? `Cut ${count} Passages` : 'Cut';
+    $('passageDuplicateBtn').textContent = count > 1 ? `Duplicate ${count} Passages` : 'Duplicate';
+    $('passageTagsBtn').textContent = count > 1 ? `Add Tag to ${count} Passages...` : 'Change Tags...';
+    $('passageDeleteBtn').textContent = count > 1 ? `Delete ${count} Passages` : 'Delete';
+    $('passageSetStartBtn').disabled = currentStory.startPassage === name;
+    passageMenu.open(e.clientX, e.clientY);
+}
+
+function closeContextMenus() {
+    canvasMenu.close();
+    passageMenu.close();
+}
+
+$('newPassageHereBtn').addEventListener('click', async () => {
+    const name = await addPassage(menuPosition);
+    if (name) openPassageEditor(name);
+});
+
+$('pasteHereBtn').addEventListener('click', () => pastePassages(menuPosition));
+
+// Text on the system clipboard becomes a new passage
+$('pasteTextHereBtn').addEventListener('click', async () => {
+    let text;
+    try {
+        text = await navigator.clipboard.readText();
+    } catch (err) {
+        console.error(err);
+        showToast('Could not read the clipboard');
+        return;
+    }
+    if (!text.trim()) {
+        showToast('Nothing to paste');
+        return;
+    }
+    await addPassage(menuPosition, text);
+});
+
+$('arrangeCanvasBtn').addEventListener('click', openArrangeModal);
+$('fitCanvasBtn').addEventListener('click', zoomToFit);
+
+$('passageEditBtn').addEventListener('click', () => openPassageEditor(menuPassage));
+
+$('passageRenameBtn').addEventListener('click', () => {
+    if (!currentStory.passages[menuPassage]) return;
+    openPassageEditor(menuPassage);
+    $('passageNameInput').focus();
+    $('passageNameInput').select();
+});
+
+$('passageCopyBtn').addEventListener('click', copySelection);
+$('passageCutBtn').addEventListener('click', () => deleteSelection({ cut: true }));
+$('passageDuplicateBtn').addEventListener('click', duplicateSelection);
+
+$('passageTagsBtn').addEventListener('click', () => {
+    if (renderer.getSelection().length > 1) tagSelection();
+    else editPassageTags(menuPassage);
+});
+
+// One passage's tags, edited as a comma-separated list
+function editPassageTags(name) {
+    const passage = currentStory.passages[name];
+    if (!passage) return;
+    const input = prompt(`Tags for "${name}", separated by commas:`, passageTags(passage).join(', '));
+    if (input === null) return;
+    const tags = [...new Set(input.split(',').map(normalizeTag).filter(Boolean))];
+    if (tags.join(' ') === passageTags(passage).join(' ')) return;
+    updateSelectedPassages('Tag passage', { [name]: { tags } });
+}
+
+$('passageSetStartBtn').addEventListener('click', () => {
+    if (currentStory.passages[menuPassage]) setStartPassage(menuPassage);
+});
+
+$('passagePlayBtn').addEventListener('click', () => playFromPassage(menuPassage));
+
+function playFromPassage(name) {
+    if (!currentStory?.passages[name]) return;
+    $('playModal').classList.add('active');
+    playStory(player, currentStory, name);
+}
+
+$('passageDeleteBtn').addEventListener('click', () => deleteSelection());
+
+// =====================================================
+// UNDO / REDO
+// =====================================================
+
+// Snapshot the story before an edit. Arrow-key nudges not yet saved are
+// saved first, so they stay a step of their own ahead of this one.
+function beginEdit() {
+    saveNudge();
+    return snapshotStory(currentStory);
+}
+
+// Record the edit made to the current story since `before` was taken as one undoable step
+function recordEdit(label, before) {
+    const storyId = currentStory.id;
+    const after = snapshotStory(currentStory);
+    const redoChange = diffPassageFields(before, after);
+    if (isEmptyChange(redoChange)) return;
+    const undoChange = diffPassageFields(after, before);
+
+    undoHistory.push({
+        label,
+        undo: () => applyStoryChange(storyId, undoChange),
+        redo: () => applyStoryChange(storyId, redoChange)
+    });
+}
+
+// Write a diffPassageFields change on top of the story as it is now, then mirror it locally
+async function applyStoryChange(storyId, change) {
+    if (currentStory?.id !== storyId) return;
+    const passages = {};
+    Object.entries(change.passages).forEach(([name, passageChange]) => {
+        passages[name] = passageChange && applyPassageFields(currentStory.passages[name], passageChange);
+    });
+    await StoryDB.applyPassageChanges(storyId, passages, change.startPassage);
+
+    Object.entries(passages).forEach(([name, passage]) => {
+        if (passage) currentStory.passages[name] = deepClone(passage);
+        else delete currentStory.passages[name];
+    });
+    if (change.startPassage !== undefined) currentStory.startPassage = change.startPassage;
+
+    if (!currentStory.passages[renderer.getSelectedPassage()]) renderer.setSelectedPassage(null);
+    renderer.render();
+}
+
+async function undo() {
+    try {
+        await saveNudge();
+        const command = await undoHistory.undo();
+        if (command) showToast(`Undid: ${command.label}`);
+    } catch (err) {
+        console.error(err);
+        showToast('Error undoing');
+    }
+}
+
+async function redo() {
+    try {
+        await saveNudge();
+        const command = await undoHistory.redo();
+        if (command) showToast(`Redid: ${command.label}`);
+    } catch (err) {
+        console.error(err);
+        showToast('Error redoing');
+    }
+}
+
+function updateUndoButtons() {
+    const undoCommand = undoHistory.peekUndo();
+    const redoCommand = undoHistory.peekRedo();
+    $('undoBtn').disabled = !undoHistory.canUndo();
+    $('redoBtn').disabled = !undoHistory.canRedo();
+    $('undoBtn').title = undoCommand ? `Undo ${undoCommand.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    $('redoBtn').title = redoCommand ? `Redo ${redoCommand.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+}
+
+$('undoBtn').addEventListener('click', undo);
+$('redoBtn').addEventListener('click', redo);
+
+// =====================================================
+// COMMAND PALETTE & SHORTCUT SHEET
+// =====================================================
+// Every action that applies right now, then every passage to go to
+function paletteCommands() {
+    const editable = canEdit(currentStory);
+    const selected = renderer.getSelectedPassage();
+    const selection = renderer.getSelection();
+    const commands = [
+        { group: 'Passage', label: 'New passage', when: editable, run: () => $('addPassageBtn').click() },
+        { group: 'Passage', label: `Edit "${selected}"`, keys: 'Enter', when: selected, run: () => openPassageEditor(selected) },
+        { group: 'Passage', label: `Play from "${selected}"`, when: selected, run: () => playFromPassage(selected) },
+        {
+            group: 'Passage',
+            label: `Set "${selected}" as start`,
+            when: editable && selected && selected !== currentStory.startPassage,
+            run: () => setStartPassage(selected)
+        },
+        { group: 'Story', label: 'Play story', run: () => $('playBtn').click() },
+        { group: 'Story', label: 'Rename story...', when: editable, run: () => $('renameStoryBtn').click() },
+        { group: 'Story', label: 'Export story...', run: () => $('exportStoryBtn').click() },
+        { group: 'Story', label: 'Duplicate story...', run: () => $('duplicateStoryBtn').click() },
+        { group: 'Story', label: 'Share...', when: isOwner(currentStory), run: () => $('shareStoryBtn').click() },
+        { group: 'Story', label: 'Story check', run: () => $('checkStoryBtn').click() },
+        { group: 'Story', label: 'Auto-arrange...', when: editable, run: openArrangeModal },
+        { group: 'Story', label: 'Tag colors...', when: editable, run: () => $('tagColorsBtn').click() },
+        { group: 'Story', label: 'Story stylesheet...', when: editable, run: () => $('stylesheetBtn').click() },
+        { group: 'Story', label: 'Story JavaScript...', when: editable, run: () => $('scriptBtn').click() },
+        { group: 'Edit', label: 'Find & replace', keys: 'Ctrl+F', run: openSearchPanel },
+        { group: 'Edit', label: 'Undo', keys: 'Ctrl+Z', when: editable && undoHistory.canUndo(), run: undo },
+        { group: 'Edit', label: 'Redo', keys: 'Ctrl+Shift+Z', when: editable && undoHistory.canRedo(), run: redo },
+        { group: 'Edit', label: 'Select all', keys: 'Ctrl+A', run: () => renderer.setSelection(Object.keys(currentStory.passages)) },
+        { group: 'Edit', label: 'Copy', keys: 'Ctrl+C', when: selection.length, run: copySelection },
+        { group: 'Edit', label: 'Cut', keys: 'Ctrl+X', when: editable && selection.length, run: () => deleteSelection({ cut: true }) },
+        {
+            group: 'Edit',
+            label: 'Paste',
+            keys: 'Ctrl+V',
+            when: editable && clipboardPassages().length,
+            run: () => pastePassages(canvas.getCenterPosition())
+        },
+        { group: 'Edit', label: 'Duplicate', keys: 'Ctrl+D', when: editable && selection.length, run: duplicateSelection },
+        { group: 'Edit', label: 'Delete', keys: 'Delete', when: editable && selection.length, run: () => deleteSelection() },
+        { group: 'View', label: 'Zoom to fit', run: zoomToFit },
+        { group: 'View', label: 'Center on start passage', run: centerOnStart },
+        { group: 'View', label: 'Zoom in', run: () => canvas.zoomIn() },
+        { group: 'View', label: 'Zoom out', run: () => canvas.zoomOut() },
+        {
+            group: 'View',
+            label: minimap.isVisible() ? 'Hide minimap' : 'Show minimap',
+            run: () => setMinimapVisible(!minimap.isVisible())
+        },
+        {
+            group: 'View',
+            label: canvas.snapToGrid ? 'Turn off snap to grid' : 'Turn on snap to grid',
+            run: () => setSnapToGrid(!canvas.snapToGrid)
+        },
+        { group: 'Help', label: 'Keyboard shortcuts', keys: '?', run: openShortcuts }
+    ];
+    const passages = Object.keys(currentStory.passages).sort().map(name => ({
+        group: 'Go to',
+        label: name,
+        searchOnly: true,
+        run: () => focusPassage(name)
+    }));
+    return [...commands.filter(command => !('when' in command) || command.when), ...passages];
+}
+
+function openPalette() {
+    $('storyMenu').classList.remove('active');
+    if (!currentStory) return;
+    closeContextMenus();
+    palette.open(paletteCommands());
+}
+
+function openShortcuts() {
+    $('storyMenu').classList.remove('active');
+    $('shortcutsModal').classList.add('active');
+}
+
+$('paletteBtn').addEventListener('click', openPalette);
+$('shortcutsBtn').addEventListener('click', openShortcuts);
+$('closeShortcutsBtn').addEventListener('click', () => $('shortcutsModal').classList.remove('active'));
+
+// =====================================================
+// KEYBOARD NAVIGATION
+// =====================================================
+// Arrow-key moves are saved together, once the keys have been still this long
+const NUDGE_SAVE_DELAY = 500;
+let nudgeSnapshot = null;
+let nudgeTimer = null;
+
+const ARROWS = {
+    ArrowLeft: { dx: -1, dy: 0 },
+    ArrowRight: { dx: 1, dy: 0 },
+    ArrowUp: { dx: 0, dy: -1 },
+    ArrowDown: { dx: 0, dy: 1 }
+};
+
+/**
+ * The passage linked to or from name that lies nearest in direction (dx, dy),
+ * favouring ones straight ahead over ones off to the side; null if none is
+ * on that side.
+ */
+function linkedPassageToward(name, dx, dy) {
+    const from = currentStory.passages[name];
+    const linked = new Set(renderer.extractLinks(from.content || ''));
+    Object.values(currentStory.passages).forEach(p => {
+        if (renderer.extractLinks(p.content || '').includes(name)) linked.add(p.name);
+    });
+    linked.delete(name);
+
+    let best = null;
+    linked.forEach(target => {
+        const passage = currentStory.passages[target];
+        if (!passage) return;
+        const x = (passage.x || 100) - (from.x || 100);
+        const y = (passage.y || 100) - (from.y || 100);
+        const ahead = x * dx + y * dy;
+        const aside = Math.abs(x * dy - y * dx);
+        if (ahead <= 0) return;
+        const cost = ahead + aside * 2;
+        if (!best || cost < best.cost) best = { name: target, cost };
+    });
+    return best?.name ?? null;
+}
+
+// Select a passage, panning only if it's not already in view
+function revealPassage(name) {
+    const passage = currentStory.passages[name];
+    const view = canvas.getViewport();
+    const x = passage.x || 100;
+    const y = passage.y || 100;
+    if (x < view.x || y < view.y || x + NODE_WIDTH > view.x + view.width || y + NODE_HEIGHT > view.y + view.height) {
+        canvas.centerOn(x + NODE_WIDTH / 2, y + NODE_HEIGHT / 2);
+    }
+    renderer.setSelectedPassage(name);
+    updatePresence();
+}
+
+// With nothing selected, the arrows start from the start passage
+function navigate(dx, dy) {
+    const current = renderer.getSelectedPassage();
+    if (!current || !currentStory.passages[current]) {
+        const start = currentStory.passages[currentStory.startPassage] ? currentStory.startPassage : Object.keys(currentStory.passages)[0];
+        if (start) revealPassage(start);
+        return;
+    }
+    const next = linkedPassageToward(current, dx, dy);
+    if (next) revealPassage(next);
+}
+
+function nudgeSelection(dx, dy) {
+    const passages = selectedPassages();
+    if (!passages.length) return;
+    if (!nudgeSnapshot) nudgeSnapshot = snapshotStory(currentStory);
+    passages.forEach(p => renderer.movePassage(p.name, (p.x || 100) + dx, (p.y || 100) + dy));
+    renderer.updateConnectionsFor(passages.map(p => p.name));
+    minimap.update();
+    clearTimeout(nudgeTimer);
+    nudgeTimer = setTimeout(saveNudge, NUDGE_SAVE_DELAY);
+}
+
+// Names of the passages moved with the arrow keys since the last save
+function nudgedPassages() {
+    if (!nudgeSnapshot || !currentStory) return [];
+    return Object.values(currentStory.passages).filter(passage => {
+        const start = nudgeSnapshot.passages[passage.name];
+        return start && (start.x !== passage.x || start.y !== passage.y);
+    }).map(passage => passage.name);
+}
+
+/**
+ * Write the positions nudged since the last save in one go. The undo step is
+ * recorded straight away, so an edit that follows lands after it on the
+ * stack; it covers only the moves, not collaborators' changes made meanwhile.
+ */
+function saveNudge() {
+    clearTimeout(nudgeTimer);
+    const moved = nudgedPassages();
+    const start = nudgeSnapshot;
+    nudgeSnapshot = null;
+    if (!moved.length) return Promise.resolve();
+
+    const changes = {};
+    const before = snapshotStory(currentStory);
+    moved.forEach(name => {
+        const passage = currentStory.passages[name];
+        changes[name] = { x: passage.x, y: passage.y };
+        Object.assign(before.passages[name], { x: start.passages[name].x, y: start.passages[name].y });
+    });
+    recordEdit(moved.length === 1 ? 'Move passage' : 'Move passages', before);
+
+    return StoryDB.updatePassages(currentStory.id, changes).catch(err => {
+        console.error(err);
+        showToast('Error moving passages');
+    });
+}
+
+// =====================================================
+// GLOBAL KEYBOARD SHORTCUTS
+// =====================================================
+function isTextInput(el) {
+    return el && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.isContentEditable);
+}
+
+document.addEventListener('keydown', e => {
+    // Story undo/redo on the canvas; text fields keep their native undo
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && !isTextInput(document.activeElement) && currentStory && canEdit(currentStory) &&
+        !document.querySelector('.modal-overlay.active')) {
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+            return;
+        }
+        if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+            return;
+        }
+    }
+
+    // Find and the command palette, even from the search box itself
+    if (mod && currentStory && canvasView.classList.contains('active') &&
+        !document.querySelector('.modal-overlay.active')) {
+        const key = e.key.toLowerCase();
+        if (key === 'f') {
+            e.preventDefault();
+            openSearchPanel();
+            return;
+        }
+        if (key === 'k') {
+            e.preventDefault();
+            openPalette();
+            return;
+        }
+    }
+
+    if (e.key === '?' && !isTextInput(document.activeElement) && !document.querySelector('.modal-overlay.active')) {
+        e.preventDefault();
+        openShortcuts();
+        return;
+    }
+
+    // Selection shortcuts on the canvas
+    if (currentStory && canvasView.classList.contains('active') && !isTextInput(document.activeElement) &&
+        !document.querySelector('.modal-overlay.active')) {
+        if (mod && e.key.toLowerCase() === 'a') {
+            e.preventDefault();
+            renderer.setSelection(Object.keys(currentStory.passages));
+            return;
+        }
+        if (mod && e.key.toLowerCase() === 'c' && renderer.getSelection().length) {
+            e.preventDefault();
+            copySelection();
+            return;
+        }
+        if (mod && e.key.toLowerCase() === 'x' && renderer.getSelection().length && canEdit(currentStory)) {
+            e.preventDefault();
+            deleteSelection({ cut: true });
+            return;
+        }
+        if (mod && e.key.toLowerCase() === 'v' && canEdit(currentStory)) {
+            e.preventDefault();
+            pastePassages(canvas.getCenterPosition());
+            return;
+        }
+        if (mod && e.key.toLowerCase() === 'd' && renderer.getSelection().length && canEdit(currentStory)) {
+            e.preventDefault();
+            duplicateSelection();
+            return;
+        }
+        if ((e.key === 'Delete' || e.key === 'Backspace') && renderer.getSelection().length && canEdit(currentStory)) {
+            e.preventDefault();
+            deleteSelection();
+            return;
+        }
+        // Arrows follow links; with Shift they move the selection a grid step, with Alt a pixel
+        const arrow = ARROWS[e.key];
+        if (arrow && !mod && document.activeElement?.tagName !== 'SELECT') {
+            e.preventDefault();
+            if (e.shiftKey || e.altKey) {
+                const step = e.shiftKey ? canvas.gridSize : 1;
+                if (canEdit(currentStory)) nudgeSelection(arrow.dx * step, arrow.dy * step);
+            } else {
+                navigate(arrow.dx, arrow.dy);
+            }
+            return;
+        }
+        if (e.key === 'Enter' && renderer.getSelectedPassage() && document.activeElement?.tagName !== 'BUTTON') {
+            e.preventDefault();
+            openPassageEditor(renderer.getSelectedPassage());
+            return;
+        }
+        if (e.key === 'Escape' && renderer.getSelection().length) {
+            renderer.setSelection([]);
+            updatePresence();
+            return;
+        }
+    }
+
     if (e.key === 'Escape') {
         document.querySelectorAll('.modal-overlay.active').forEach(m => {
             if (m.id === 'passageModal') {
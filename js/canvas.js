@@ -2,6 +2,13 @@
 // CANVAS - PAN, ZOOM & DRAG CONTROLLER
 // =====================================================
 
+// How long a touch or pen has to rest to count as a long press, and how far
+// it may wander (in screen pixels) while doing so
+const LONG_PRESS_DELAY = 500;
+const LONG_PRESS_SLOP = 10;
+// Each wheel notch or zoom button click scales the view by this much
+const ZOOM_STEP = 1.1;
+
 export class CanvasController {
     constructor(options) {
         this.canvasView = options.canvasView;
@@ -9,101 +16,316 @@ export class CanvasController {
         this.zoomDisplay = options.zoomDisplay;
         this.onNodeDrag = options.onNodeDrag || (() => {});
         this.onNodeDragEnd = options.onNodeDragEnd || (() => {});
+        this.onBoxSelect = options.onBoxSelect || (() => {});
+        this.onBackgroundClick = options.onBackgroundClick || (() => {});
+        this.onViewChange = options.onViewChange || (() => {});
 
         // Canvas state
         this.x = 0;
         this.y = 0;
         this.zoom = 1;
-        this.minZoom = 0.25;
+        this.minZoom = 0.1;
         this.maxZoom = 2;
 
         // Pan state
         this.isPanning = false;
         this.panStartX = 0;
         this.panStartY = 0;
+        this.panMoved = false;
 
-        // Drag state
+        // Drag state: dragNode is the node under the pointer, dragGroup every
+        // passage moving with it ({ name, x, y } at the start, rendered or not)
         this.isDragging = false;
         this.dragNode = null;
+        this.dragGroup = [];
         this.dragOffsetX = 0;
         this.dragOffsetY = 0;
 
+        // Box selection state (Shift+drag on empty canvas), in canvas coordinates
+        this.isSelecting = false;
+        this.selectStart = null;
+        this.selectEnd = null;
+        this.selectionBox = null;
+
+        // Snapping: to the grid when turned on, and to other nodes' edges and
+        // centers (shown as guides) within guideThreshold screen pixels
+        this.gridSize = options.gridSize || 20;
+        this.snapToGrid = false;
+        this.guideThreshold = 6;
+        this.guideTargets = [];
+        this.guides = [];
+
+        // Touch & pen: where each pointer that's down is (pointerId -> { x, y }),
+        // the two-finger pan & pinch zoom in progress, and the pending long press
+        this.touches = new Map();
+        this.isGesturing = false;
+        this.gesture = null;
+        this.longPress = null;
+
         this._bindEvents();
     }
 
     _bindEvents() {
-        // Pan start
-        this.canvasView.addEventListener('mousedown', e => {
+        // Mouse, touch and pen all arrive as pointer events. Touches are tracked
+        // in the capture phase, before passage nodes see them, so a second finger
+        // anywhere turns into a pan & pinch zoom instead of another drag.
+        this.canvasView.addEventListener('pointerdown', e => {
+            if (e.pointerType === 'mouse') return;
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.touches.size === 2) {
+                e.stopPropagation();
+                this._startGesture();
+            } else if (this.touches.size > 2 || this.isGesturing) {
+                e.stopPropagation();
+            } else {
+                this._startLongPress(e);
+            }
+        }, true);
+
+        // A browser's own long-press menu is replaced by the one _startLongPress sends
+        this.canvasView.addEventListener('contextmenu', e => {
+            if (e.isTrusted && this.touches.size) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        }, true);
+
+        // Pan start, or box selection with Shift held
+        this.canvasView.addEventListener('pointerdown', e => {
+            if (e.button !== 0) return;
             if (e.target === this.canvasContainer || 
                 e.target === this.canvasView || 
                 e.target.id === 'passagesLayer') {
+                if (e.shiftKey) {
+                    this._startBoxSelect(e);
+                    return;
+                }
                 this.isPanning = true;
+                this.panMoved = false;
                 this.panStartX = e.clientX - this.x;
                 this.panStartY = e.clientY - this.y;
                 this.canvasContainer.classList.add('grabbing');
             }
         });
 
-        // Pan & drag move
-        document.addEventListener('mousemove', e => {
+        // Pan, drag & box selection move
+        document.addEventListener('pointermove', e => {
+            if (this.touches.has(e.pointerId)) {
+                this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+                if (this.isGesturing) {
+                    this._updateGesture();
+                    return;
+                }
+            }
+            if (this.longPress && Math.hypot(e.clientX - this.longPress.x, e.clientY - this.longPress.y) > LONG_PRESS_SLOP) {
+                this._cancelLongPress();
+            }
+
             if (this.isPanning) {
-                this.x = e.clientX - this.panStartX;
-                this.y = e.clientY - this.panStartY;
+                const x = e.clientX - this.panStartX;
+                const y = e.clientY - this.panStartY;
+                if (Math.abs(x - this.x) + Math.abs(y - this.y) > 0) this.panMoved = true;
+                this.x = x;
+                this.y = y;
                 this._updateTransform();
             }
 
             if (this.isDragging && this.dragNode) {
-                const rect = this.canvasView.getBoundingClientRect();
-                const x = (e.clientX - rect.left - this.x) / this.zoom - this.dragOffsetX;
-                const y = (e.clientY - rect.top - this.y) / this.zoom - this.dragOffsetY;
+                const point = this.toCanvasPoint(e);
+                const primary = this.dragGroup.find(d => d.name === this.dragNode.dataset.name);
+                const snapped = this._snapPosition(point.x - this.dragOffsetX, point.y - this.dragOffsetY);
+                const dx = snapped.x - primary.x;
+                const dy = snapped.y - primary.y;
 
-                this.dragNode.style.left = x + 'px';
-                this.dragNode.style.top = y + 'px';
+                // Every passage in the group keeps its offset from the one being dragged;
+                // onNodeDrag moves them
+                const positions = {};
+                this.dragGroup.forEach(({ name, x, y }) => {
+                    positions[name] = { x: x + dx, y: y + dy };
+                });
 
-                this.onNodeDrag(this.dragNode.dataset.name, x, y);
+                this.onNodeDrag(positions);
             }
-        });
 
-        // Pan & drag end
-        document.addEventListener('mouseup', () => {
-            if (this.isPanning) {
-                this.isPanning = false;
-                this.canvasContainer.classList.remove('grabbing');
+            if (this.isSelecting) {
+                this.onBoxSelect(this._updateBoxSelect(e), false);
             }
+        });
 
-            if (this.isDragging && this.dragNode) {
-                this.onNodeDragEnd(this.dragNode.dataset.name);
-                this.isDragging = false;
-                this.dragNode = null;
+        // Pan, drag & box selection end; a cancelled pointer ends them the same way
+        const end = e => {
+            this._cancelLongPress();
+            if (this.touches.delete(e.pointerId) && this.isGesturing) {
+                // The remaining finger does nothing until it is lifted too
+                if (this.touches.size < 2) this.isGesturing = false;
+                return;
             }
-        });
+            this._endPan(true);
+            this._endDrag();
+            this._endBoxSelect(e);
+        };
+        document.addEventListener('pointerup', end);
+        document.addEventListener('pointercancel', end);
 
-        // Wheel zoom
+        // Wheel zoom, keeping the point under the cursor in place
         this.canvasView.addEventListener('wheel', e => {
             e.preventDefault();
-            const delta = e.deltaY > 0 ? -0.1 : 0.1;
-            this.setZoom(this.zoom + delta);
+            const factor = e.deltaY > 0 ? 1 / ZOOM_STEP : ZOOM_STEP;
+            const rect = this.canvasView.getBoundingClientRect();
+            this.setZoom(this.zoom * factor, { x: e.clientX - rect.left, y: e.clientY - rect.top });
         }, { passive: false });
     }
 
+    // A pan ended by releasing the pointer without moving is a click on empty canvas
+    _endPan(released) {
+        if (!this.isPanning) return;
+        this.isPanning = false;
+        this.canvasContainer.classList.remove('grabbing');
+        if (released && !this.panMoved) this.onBackgroundClick();
+    }
+
+    _endDrag(info = {}) {
+        if (!this.isDragging || !this.dragNode) return;
+        this._clearGuides();
+        this.onNodeDragEnd(this.dragGroup.map(d => d.name), info);
+        this.isDragging = false;
+        this.dragNode = null;
+        this.dragGroup = [];
+        this.guideTargets = [];
+    }
+
+    // Finish the box at the pointer's position, or where it last was without one
+    _endBoxSelect(e = null) {
+        if (!this.isSelecting) return;
+        const rect = e ? this._updateBoxSelect(e) : this._boxRect();
+        this.isSelecting = false;
+        this.selectionBox.remove();
+        this.selectionBox = null;
+        this.onBoxSelect(rect, true);
+    }
+
+    // The first two touches, and the point halfway between them in view pixels
+    _gesturePoints() {
+        const [a, b] = [...this.touches.values()];
+        const rect = this.canvasView.getBoundingClientRect();
+        return {
+            distance: Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1),
+            center: { x: (a.x + b.x) / 2 - rect.left, y: (a.y + b.y) / 2 - rect.top }
+        };
+    }
+
+    // A second finger takes over from whatever the first one was doing
+    _startGesture() {
+        this._cancelLongPress();
+        this._endPan(false);
+        this._endDrag();
+        this._endBoxSelect();
+
+        const { distance, center } = this._gesturePoints();
+        this.isGesturing = true;
+        this.gesture = {
+            distance,
+            zoom: this.zoom,
+            // The canvas point under the fingers, which stays under them
+            anchor: { x: (center.x - this.x) / this.zoom, y: (center.y - this.y) / this.zoom }
+        };
+    }
+
+    // Pinch zooms by how far the fingers spread; moving them together pans
+    _updateGesture() {
+        const { distance, center } = this._gesturePoints();
+        const { anchor } = this.gesture;
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.gesture.zoom * distance / this.gesture.distance));
+        this.x = center.x - anchor.x * this.zoom;
+        this.y = center.y - anchor.y * this.zoom;
+        this._updateTransform();
+    }
+
+    /**
+     * Holding a touch or pen still opens the context menu of whatever is under
+     * it: any drag or pan it started is dropped and a contextmenu event is sent
+     * to the element pressed, as a right click would.
+     */
+    _startLongPress(e) {
+        this._cancelLongPress();
+        const { clientX, clientY, target } = e;
+        this.longPress = {
+            x: clientX,
+            y: clientY,
+            timer: setTimeout(() => {
+                this.longPress = null;
+                this._endPan(false);
+                this._endDrag({ longPress: true });
+                target.dispatchEvent(new MouseEvent('contextmenu', {
+                    bubbles: true,
+                    cancelable: true,
+                    clientX,
+                    clientY
+                }));
+            }, LONG_PRESS_DELAY)
+        };
+    }
+
+    _cancelLongPress() {
+        if (!this.longPress) return;
+        clearTimeout(this.longPress.timer);
+        this.longPress = null;
+    }
+
     _updateTransform() {
         this.canvasContainer.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.zoom})`;
         if (this.zoomDisplay) {
             this.zoomDisplay.textContent = Math.round(this.zoom * 100) + '%';
         }
+        this.onViewChange(this.getViewport());
     }
 
-    setZoom(level) {
-        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, level));
+    /**
+     * Zoom to level, keeping anchor (a point in the view, in screen pixels from
+     * its top-left corner) over the same spot on the canvas. Defaults to the
+     * middle of the view.
+     */
+    setZoom(level, anchor = null) {
+        const zoom = Math.max(this.minZoom, Math.min(this.maxZoom, level));
+        if (!anchor) {
+            const rect = this.canvasView.getBoundingClientRect();
+            anchor = { x: rect.width / 2, y: rect.height / 2 };
+        }
+        this.x = anchor.x - (anchor.x - this.x) * zoom / this.zoom;
+        this.y = anchor.y - (anchor.y - this.y) * zoom / this.zoom;
+        this.zoom = zoom;
         this._updateTransform();
     }
 
+    // The part of the canvas in view, in canvas coordinates
+    getViewport() {
+        const rect = this.canvasView.getBoundingClientRect();
+        return {
+            x: -this.x / this.zoom,
+            y: -this.y / this.zoom,
+            width: rect.width / this.zoom,
+            height: rect.height / this.zoom
+        };
+    }
+
+    // Zoom and pan so bounds ({ x, y, width, height } in canvas coordinates) fill the view, never above 100%
+    fitBounds(bounds, padding = 40) {
+        const rect = this.canvasView.getBoundingClientRect();
+        const zoom = Math.min(
+            (rect.width - padding * 2) / bounds.width,
+            (rect.height - padding * 2) / bounds.height,
+            1
+        );
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom || this.minZoom));
+        this.centerOn(bounds.x + bounds.width / 2, bounds.y + bounds.height / 2);
+    }
+
     zoomIn() {
-        this.setZoom(this.zoom + 0.25);
+        this.setZoom(this.zoom * ZOOM_STEP);
     }
 
     zoomOut() {
-        this.setZoom(this.zoom - 0.25);
+        this.setZoom(this.zoom / ZOOM_STEP);
     }
 
     reset() {
@@ -113,22 +335,161 @@ export class CanvasController {
         this._updateTransform();
     }
 
-    // Start dragging a node
-    startDrag(node, e) {
+    /**
+     * Start dragging a node, and with it the passages of group: { name: { x, y } }
+     * with their current positions. The node's own passage is always included.
+     */
+    startDrag(node, e, group = {}) {
         this.isDragging = true;
         this.dragNode = node;
+        const positions = {
+            ...group,
+            [node.dataset.name]: { x: parseFloat(node.style.left) || 0, y: parseFloat(node.style.top) || 0 }
+        };
+        this.dragGroup = Object.entries(positions).map(([name, { x, y }]) => ({ name, x, y }));
 
         const rect = node.getBoundingClientRect();
         this.dragOffsetX = (e.clientX - rect.left) / this.zoom;
         this.dragOffsetY = (e.clientY - rect.top) / this.zoom;
+
+        // Nodes that stay put are what the dragged one can line up with
+        const dragged = new Set(Object.keys(positions));
+        this.guideTargets = [...this.canvasContainer.querySelectorAll('.passage-node')]
+            .filter(n => !dragged.has(n.dataset.name))
+            .map(n => this._nodeBox(n));
+    }
+
+    setSnapToGrid(enabled) {
+        this.snapToGrid = enabled;
+        this.canvasContainer.classList.toggle('snap-grid', enabled);
+    }
+
+    // Round a canvas position to the grid when snapping is on
+    snapPoint(x, y) {
+        if (!this.snapToGrid) return { x, y };
+        return {
+            x: Math.round(x / this.gridSize) * this.gridSize,
+            y: Math.round(y / this.gridSize) * this.gridSize
+        };
+    }
+
+    _nodeBox(node, x = parseFloat(node.style.left) || 0, y = parseFloat(node.style.top) || 0) {
+        // Unrendered nodes report no size; fall back to the CSS minimum
+        return { x, y, width: node.offsetWidth || 160, height: node.offsetHeight || 100 };
+    }
+
+    /**
+     * Where the dragged node lands for a pointer position of (x, y): lined up
+     * with a nearby node's left, center or right (top, middle or bottom) when
+     * one is within the threshold, else on the grid if snapping is on.
+     * Draws a guide for each alignment used.
+     */
+    _snapPosition(x, y) {
+        const position = this.snapPoint(x, y);
+        const box = this._nodeBox(this.dragNode, x, y);
+        const threshold = this.guideThreshold / this.zoom;
+        const guides = [];
+
+        [['x', 'width', 'y', 'height'], ['y', 'height', 'x', 'width']].forEach(([axis, size, cross, crossSize]) => {
+            const own = [0, box[size] / 2, box[size]];
+            let best = null;
+            this.guideTargets.forEach(target => {
+                [0, target[size] / 2, target[size]].forEach(targetOffset => {
+                    own.forEach(ownOffset => {
+                        const distance = target[axis] + targetOffset - (box[axis] + ownOffset);
+                        if (Math.abs(distance) <= threshold && (!best || Math.abs(distance) < Math.abs(best.distance))) {
+                            best = { distance, line: target[axis] + targetOffset, target };
+                        }
+                    });
+                });
+            });
+            if (!best) return;
+            position[axis] = box[axis] + best.distance;
+            // The guide runs from one node to the other across the cross axis
+            const start = Math.min(best.target[cross], box[cross]);
+            const end = Math.max(best.target[cross] + best.target[crossSize], box[cross] + box[crossSize]);
+            guides.push({ axis, line: best.line, start, end });
+        });
+
+        this._showGuides(guides);
+        return position;
+    }
+
+    _showGuides(guides) {
+        this._clearGuides();
+        this.guides = guides.map(({ axis, line, start, end }) => {
+            const guide = document.createElement('div');
+            // Lining up on x gives a vertical line
+            guide.className = `alignment-guide ${axis === 'x' ? 'vertical' : 'horizontal'}`;
+            Object.assign(guide.style, axis === 'x'
+                ? { left: line + 'px', top: start + 'px', height: (end - start) + 'px' }
+                : { top: line + 'px', left: start + 'px', width: (end - start) + 'px' });
+            this.canvasContainer.appendChild(guide);
+            return guide;
+        });
+    }
+
+    _clearGuides() {
+        this.guides.forEach(guide => guide.remove());
+        this.guides = [];
+    }
+
+    // Convert a pointer event's position to canvas coordinates
+    toCanvasPoint(e) {
+        const rect = this.canvasView.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left - this.x) / this.zoom,
+            y: (e.clientY - rect.top - this.y) / this.zoom
+        };
+    }
+
+    _startBoxSelect(e) {
+        this.isSelecting = true;
+        this.selectStart = this.toCanvasPoint(e);
+        this.selectionBox = document.createElement('div');
+        this.selectionBox.className = 'selection-box';
+        this.canvasContainer.appendChild(this.selectionBox);
+        this._updateBoxSelect(e);
+    }
+
+    // Resize the box to the pointer and return it as { x, y, width, height }
+    _updateBoxSelect(e) {
+        const point = this.toCanvasPoint(e);
+        this.selectEnd = point;
+        const rect = this._boxRect();
+        Object.assign(this.selectionBox.style, {
+            left: rect.x + 'px',
+            top: rect.y + 'px',
+            width: rect.width + 'px',
+            height: rect.height + 'px'
+        });
+        return rect;
+    }
+
+    _boxRect() {
+        const end = this.selectEnd || this.selectStart;
+        return {
+            x: Math.min(this.selectStart.x, end.x),
+            y: Math.min(this.selectStart.y, end.y),
+            width: Math.abs(end.x - this.selectStart.x),
+            height: Math.abs(end.y - this.selectStart.y)
+        };
+    }
+
+    // Pan so that canvas point (x, y) is in the middle of the view
+    centerOn(x, y) {
+        const viewRect = this.canvasView.getBoundingClientRect();
+        this.x = viewRect.width / 2 - x * this.zoom;
+        this.y = viewRect.height / 2 - y * this.zoom;
+        this._updateTransform();
     }
 
     // Get position for centering new elements
     getCenterPosition() {
         const viewRect = this.canvasView.getBoundingClientRect();
-        return {
-            x: (-this.x + viewRect.width / 2) / this.zoom - 80,
-            y: (-this.y + viewRect.height / 2) / this.zoom - 50
-        };
+        return this.snapPoint(
+            (-this.x + viewRect.width / 2) / this.zoom - 80,
+            (-this.y + viewRect.height / 2) / this.zoom - 50
+        );
     }
 }
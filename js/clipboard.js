@@ -0,0 +1,72 @@
+// =====================================================
+// PASSAGE CLIPBOARD - COPY, PASTE & DUPLICATE
+// =====================================================
+
+import { storyRuntime } from './runtime.js';
+import { passageBounds } from './layout.js';
+import { generatePassageName, deepClone } from './utils.js';
+
+// Kept in localStorage so passages can be pasted into any story, in any tab
+const CLIPBOARD_KEY = 'twineed-clipboard';
+
+/**
+ * Put the story's passages `names` on the clipboard, with their tags and
+ * positions relative to the top-left of the group. Returns how many were copied.
+ */
+export function copyPassages(story, names) {
+    const passages = names.map(name => story.passages[name]).filter(Boolean);
+    if (!passages.length) return 0;
+    const origin = passageBounds(passages);
+    localStorage.setItem(CLIPBOARD_KEY, JSON.stringify({
+        storyId: story.id,
+        passages: passages.map(p => ({
+            ...deepClone(p),
+            x: (p.x || 100) - origin.x,
+            y: (p.y || 100) - origin.y
+        }))
+    }));
+    return passages.length;
+}
+
+// The passages on the clipboard, positioned from (0, 0); empty when there are none
+export function clipboardPassages() {
+    try {
+        const clip = JSON.parse(localStorage.getItem(CLIPBOARD_KEY));
+        return Array.isArray(clip?.passages) ? clip.passages : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Copies of passages named so they don't clash with the passages in taken
+ * ({ name: passage }): each tries nameFor(passage), and generatePassageName
+ * numbers it when that's in use. Links between the copies point at their new
+ * names; links to other passages are kept. Returns { name: copy }.
+ */
+export function clonePassages(passages, taken, nameFor = p => p.name) {
+    // A copy is never given another copied passage's old name, or renaming
+    // that passage's links would catch its links too
+    const originals = passages.map(p => p.name);
+    const assigned = {};
+    const renames = {};
+    passages.forEach(p => {
+        const blocked = { ...taken, ...assigned };
+        originals.forEach(name => {
+            if (name !== p.name) blocked[name] = true;
+        });
+        renames[p.name] = generatePassageName(blocked, nameFor(p));
+        assigned[renames[p.name]] = true;
+    });
+
+    const copies = {};
+    passages.forEach(p => {
+        let content = p.content || '';
+        Object.entries(renames).forEach(([from, to]) => {
+            if (from !== to) content = storyRuntime.retargetLinks(content, from, to);
+        });
+        const name = renames[p.name];
+        copies[name] = { ...deepClone(p), name, content };
+    });
+    return copies;
+}
@@ -0,0 +1,25 @@
+// =====================================================
+// APP CONFIG
+// =====================================================
+// Self-hosted copies can override these defaults by defining
+// window.TWINEED_CONFIG before js/app.js loads, e.g.
+//   <script>window.TWINEED_CONFIG = { backend: 'local' };</script>
+// Adding ?backend=local to the page URL does the same for a single visit.
+
+const DEFAULTS = {
+    // 'firebase' stores stories in Firestore with accounts and sharing;
+    // 'local' keeps them in this browser for a single local user
+    backend: 'firebase',
+
+    // Firebase web config. When null it's fetched from firebaseConfigUrl
+    firebase: null,
+    firebaseConfigUrl: '/.netlify/functions/firebaseConfig'
+};
+
+const params = new URLSearchParams(location.search);
+
+export const config = {
+    ...DEFAULTS,
+    ...window.TWINEED_CONFIG,
+    ...(params.get('backend') && { backend: params.get('backend') })
+};
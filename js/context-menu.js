@@ -0,0 +1,86 @@
+// =====================================================
+// CONTEXT MENUS
+// =====================================================
+
+// Space kept between a menu and the edge of the window
+const EDGE_MARGIN = 8;
+
+/**
+ * A .dropdown-menu opened at the pointer. Choosing an item, pressing Escape,
+ * or pressing, scrolling or resizing anywhere else closes it. The arrow keys
+ * move between the items that are shown and enabled.
+ */
+export class ContextMenu {
+    constructor(element) {
+        this.element = element;
+        this._bindEvents();
+    }
+
+    isOpen() {
+        return this.element.classList.contains('active');
+    }
+
+    // Open with the top-left corner at (x, y) in window pixels, kept on screen
+    open(x, y) {
+        this._tidyDividers();
+        this.element.classList.add('active');
+        const { width, height } = this.element.getBoundingClientRect();
+        const left = Math.max(EDGE_MARGIN, Math.min(x, window.innerWidth - width - EDGE_MARGIN));
+        const top = Math.max(EDGE_MARGIN, Math.min(y, window.innerHeight - height - EDGE_MARGIN));
+        this.element.style.left = left + 'px';
+        this.element.style.top = top + 'px';
+        this._items()[0]?.focus();
+    }
+
+    close() {
+        this.element.classList.remove('active');
+    }
+
+    _items() {
+        return [...this.element.querySelectorAll('.menu-item')]
+            .filter(item => item.style.display !== 'none' && !item.disabled);
+    }
+
+    // Dividers only go between items that are shown
+    _tidyDividers() {
+        let previous = null;
+        [...this.element.children].forEach(child => {
+            if (!child.classList.contains('menu-divider')) {
+                if (child.style.display !== 'none') previous = child;
+                return;
+            }
+            child.style.display = previous && !previous.classList.contains('menu-divider') ? '' : 'none';
+            if (child.style.display === '') previous = child;
+        });
+        if (previous?.classList.contains('menu-divider')) previous.style.display = 'none';
+    }
+
+    _bindEvents() {
+        // Item handlers run first, then the menu goes away
+        this.element.addEventListener('click', e => {
+            if (e.target.closest('.menu-item')) this.close();
+        });
+
+        // Keys stay in the menu, so the canvas shortcuts don't act behind it
+        this.element.addEventListener('keydown', e => {
+            e.stopPropagation();
+            const items = this._items();
+            const index = items.indexOf(document.activeElement);
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                items[(index + step + items.length) % items.length]?.focus();
+            } else if (e.key === 'Escape' || e.key === 'Tab') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+
+        document.addEventListener('pointerdown', e => {
+            if (this.isOpen() && !this.element.contains(e.target)) this.close();
+        }, true);
+        document.addEventListener('wheel', () => this.close(), { passive: true });
+        window.addEventListener('resize', () => this.close());
+        window.addEventListener('blur', () => this.close());
+    }
+}
@@ -0,0 +1,68 @@
+// =====================================================
+// PASSAGE DRAGGING - MOVE, DROP CLEAR & SAVE
+// =====================================================
+
+import { findClearOffset } from './layout.js';
+
+/**
+ * The CanvasController's onNodeDrag and onNodeDragEnd for dragging passages,
+ * shared by the app and the drag benchmark so the benchmark measures the
+ * app's own drag path.
+ *
+ * parts() returns { canvas, renderer, minimap } (read on each call, as the
+ * canvas needs these handlers before the others exist). hooks:
+ *   getStory()             the story being edited
+ *   takeStart()            the snapshotStory() taken when the drag began (then forgotten), or null
+ *   beforeDrop(names)      runs first on a drop (optional)
+ *   onClick(names, opts)   a press that moved nothing (optional)
+ *   save(positions, moved, before)  the group's final positions, once per drop
+ */
+export function createPassageDrag(parts, { getStory, takeStart, beforeDrop, onClick, save }) {
+    return {
+        onNodeDrag(positions) {
+            const { renderer, minimap } = parts();
+            Object.entries(positions).forEach(([name, { x, y }]) => renderer.movePassage(name, x, y));
+            renderer.updateConnectionsFor(Object.keys(positions));
+            minimap?.update();
+        },
+
+        async onNodeDragEnd(names, options = {}) {
+            beforeDrop?.(names);
+
+            const story = getStory();
+            const before = takeStart();
+            if (!story || !before) return;
+            const { canvas, renderer, minimap } = parts();
+
+            const moved = names.filter(name => {
+                const start = before.passages[name];
+                const passage = story.passages[name];
+                return passage && start && (start.x !== passage.x || start.y !== passage.y);
+            });
+            if (!moved.length) {
+                onClick?.(names, options);
+                return;
+            }
+
+            // Dropped on other passages: the group slides to the nearest clear spot
+            const dropped = {};
+            names.filter(name => story.passages[name]).forEach(name => {
+                dropped[name] = { x: story.passages[name].x, y: story.passages[name].y };
+            });
+            const others = Object.values(story.passages).filter(p => !Object.hasOwn(dropped, p.name));
+            const { dx, dy } = findClearOffset(dropped, others, canvas.gridSize);
+            if (dx || dy) {
+                Object.entries(dropped).forEach(([name, p]) => renderer.movePassage(name, p.x + dx, p.y + dy));
+                renderer.renderConnections();
+                minimap?.update();
+            }
+
+            // One write for the whole group
+            const positions = {};
+            (dx || dy ? Object.keys(dropped) : moved).forEach(name => {
+                positions[name] = { x: story.passages[name].x, y: story.passages[name].y };
+            });
+            await save(positions, moved, before);
+        }
+    };
+}
@@ -1,21 +1,24 @@
 // =====================================================
-// FIREBASE CONFIG & DATABASE SERVICE
+// FIREBASE BACKEND
 // =====================================================
+// Accounts, Firestore storage and sharing. Selected with backend: 'firebase'
+// in config.js; see storage.js for the interface it implements.
+
+import { LocalCache, OfflineSync } from './offline.js';
+
+const CONFIG_CACHE_KEY = 'twineed-firebase-config';
 
 let db, auth, googleProvider;
 let initPromise = null;
+let settings = {};
 
-// Initialize Firebase by fetching config from Netlify function
+// Initialize Firebase with the configured web config, or one fetched from the config URL
 async function initFirebase() {
     if (initPromise) return initPromise;
 
     initPromise = (async () => {
         try {
-            const response = await fetch('https://twineed.netlify.app/.netlify/functions/firebaseConfig');
-            if (!response.ok) {
-                throw new Error('Failed to fetch Firebase config');
-            }
-            const firebaseConfig = await response.json();
+            const firebaseConfig = settings.firebase || await fetchConfig();
 
             firebase.initializeApp(firebaseConfig);
             db = firebase.firestore();
@@ -31,13 +34,30 @@ async function initFirebase() {
 
     return initPromise;
 }
+// The last config that loaded lets the app start while offline
+async function fetchConfig() {
+    try {
+        const response = await fetch(settings.firebaseConfigUrl);
+        if (!response.ok) {
+            throw new Error('Failed to fetch Firebase config');
+        }
+        const config = await response.json();
+        localStorage.setItem(CONFIG_CACHE_KEY, JSON.stringify(config));
+        return config;
+    } catch (error) {
+        const cached = localStorage.getItem(CONFIG_CACHE_KEY);
+        if (!cached) throw error;
+        return JSON.parse(cached);
+    }
+}
+
 async function ensureInit() {
     if (!db || !auth) {
         await initFirebase();
     }
 }
 
-export const AuthService = {
+const AuthService = {
     onAuthStateChanged(callback) {
         ensureInit().then(() => auth.onAuthStateChanged(callback))
             .catch(err => {
@@ -50,6 +70,11 @@ export const AuthService = {
         return auth?.currentUser?.uid || null;
     },
 
+    // Lowercased, as invitations are keyed by email
+    getCurrentUserEmail() {
+        return auth?.currentUser?.email?.toLowerCase() || null;
+    },
+
     async signInWithEmail(email, password) {
         await ensureInit();
         return auth.signInWithEmailAndPassword(email, password);
@@ -90,34 +115,134 @@ export const AuthService = {
     }
 };
 
+// =====================================================
+// SERVER WRITES (queued by OfflineSync while offline)
+// =====================================================
+const remoteWrites = {
+    async update(id, data) {
+        await ensureInit();
+        await db.collection('stories').doc(id).update({
+            ...data,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+    },
+
+    // Update fields of several passages in one atomic write: { passageName: { field: value } }.
+    // Fields of a passage that doesn't exist yet create it.
+    async updatePassages(storyId, changes) {
+        await ensureInit();
+        // Use FieldPath to safely handle passage names with special characters
+        const batch = db.batch();
+        const docRef = db.collection('stories').doc(storyId);
+        Object.entries(changes).forEach(([passageName, data]) => {
+            Object.keys(data).forEach(key => {
+                const fieldPath = new firebase.firestore.FieldPath('passages', passageName, key);
+                batch.update(docRef, fieldPath, data[key]);
+            });
+        });
+        batch.update(docRef, 'updatedAt', firebase.firestore.FieldValue.serverTimestamp());
+        await batch.commit();
+    },
+
+    async deletePassages(storyId, passageNames, newStartPassage) {
+        await ensureInit();
+        const docRef = db.collection('stories').doc(storyId);
+        // Use alternating field/value args for FieldPath support
+        const args = [];
+        passageNames.forEach(name => {
+            args.push(new firebase.firestore.FieldPath('passages', name), firebase.firestore.FieldValue.delete());
+        });
+        args.push('updatedAt', firebase.firestore.FieldValue.serverTimestamp());
+        if (newStartPassage !== undefined) {
+            args.push('startPassage', newStartPassage);
+        }
+        await docRef.update(...args);
+    },
+
+    // Replace or remove whole passages in one write: { passageName: passage | null }
+    async applyPassageChanges(storyId, changes, startPassage) {
+        await ensureInit();
+        const args = [];
+        Object.entries(changes).forEach(([name, passage]) => {
+            args.push(
+                new firebase.firestore.FieldPath('passages', name),
+                passage || firebase.firestore.FieldValue.delete()
+            );
+        });
+        args.push('updatedAt', firebase.firestore.FieldValue.serverTimestamp());
+        if (startPassage !== undefined) {
+            args.push('startPassage', startPassage);
+        }
+        await db.collection('stories').doc(storyId).update(...args);
+    },
+
+    async setPassages(storyId, passages, startPassage) {
+        await ensureInit();
+        const update = {
+            passages,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        };
+        if (startPassage !== undefined) {
+            update.startPassage = startPassage;
+        }
+        await db.collection('stories').doc(storyId).update(update);
+    }
+};
+
 // =====================================================
 // STORY DATABASE SERVICE
 // =====================================================
-export const StoryDB = {
+const StoryDB = {
+    // Stories the user owns or has been added to as a co-author, newest first.
+    // Falls back to the offline cache when the server can't be reached.
     async getAll() {
         await ensureInit();
         const uid = auth.currentUser?.uid;
         if (!uid) throw new Error('Not authenticated');
-        const snap = await db.collection('stories')
-            .where('ownerId', '==', uid)
-            .orderBy('updatedAt', 'desc')
-            .get();
-        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+        try {
+            if (!navigator.onLine) throw new Error('Offline');
+            const [owned, shared] = await Promise.all([
+                db.collection('stories')
+                    .where('ownerId', '==', uid)
+                    .orderBy('updatedAt', 'desc')
+                    .get(),
+                db.collection('stories')
+                    .where('collaboratorIds', 'array-contains', uid)
+                    .get()
+            ]);
+            const stories = [...owned.docs, ...shared.docs].map(d => ({ id: d.id, ...d.data() }));
+            LocalCache.replaceStories(stories).catch(console.error);
+            return sortByUpdated(stories);
+        } catch (err) {
+            const cached = (await LocalCache.getStories().catch(() => []))
+                .filter(s => s.ownerId === uid || s.collaboratorIds?.includes(uid));
+            if (!cached.length) throw err;
+            console.warn('Loading stories from offline cache:', err);
+            return sortByUpdated(cached);
+        }
     },
 
+    // Stories published to the Community tab, newest first
     async getAllPublic() {
         await ensureInit();
         if (!auth.currentUser) throw new Error('Not authenticated');
         const snap = await db.collection('stories')
-            .orderBy('updatedAt', 'desc')
+            .where('visibility', '==', 'public')
             .get();
-        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+        return sortByUpdated(snap.docs.map(d => ({ id: d.id, ...d.data() })));
     },
 
+    // Offline, a cached story is only returned to someone the rules would let read it
     async get(id) {
-        await ensureInit();
-        const doc = await db.collection('stories').doc(id).get();
-        return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        try {
+            if (!navigator.onLine) throw new Error('Offline');
+            return await fetchStory(id);
+        } catch (err) {
+            const cached = await LocalCache.getStory(id).catch(() => null);
+            if (!cached || !canReadCached(cached)) throw err;
+            return cached;
+        }
     },
 
     async create(data) {
@@ -125,6 +250,7 @@ export const StoryDB = {
         const uid = auth.currentUser?.uid;
         if (!uid) throw new Error('Not authenticated');
         const ref = await db.collection('stories').add({
+            visibility: 'private',
             ...data,
             ownerId: uid,
             createdAt: firebase.firestore.FieldValue.serverTimestamp(),
@@ -133,58 +259,250 @@ export const StoryDB = {
         return ref.id;
     },
 
+    // Story edits go through OfflineSync: sent now when online, queued when not
     async update(id, data) {
-        await ensureInit();
-        await db.collection('stories').doc(id).update({
-            ...data,
-            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-        });
+        return OfflineSync.write('update', [id, data]);
     },
 
     async delete(id) {
         await ensureInit();
         await db.collection('stories').doc(id).delete();
+        await LocalCache.deleteStory(id).catch(console.error);
     },
 
     async updatePassage(storyId, passageName, data) {
+        return this.updatePassages(storyId, { [passageName]: data });
+    },
+
+    // Update fields of several passages in one atomic write: { passageName: { field: value } }.
+    // Fields of a passage that doesn't exist yet create it.
+    async updatePassages(storyId, changes) {
+        return OfflineSync.write('updatePassages', [storyId, changes]);
+    },
+
+    async deletePassage(storyId, passageName, newStartPassage) {
+        return this.deletePassages(storyId, [passageName], newStartPassage);
+    },
+
+    async deletePassages(storyId, passageNames, newStartPassage) {
+        return OfflineSync.write('deletePassages', [storyId, passageNames, newStartPassage]);
+    },
+
+    // Replace or remove whole passages in one write: { passageName: passage | null }
+    async applyPassageChanges(storyId, changes, startPassage) {
+        return OfflineSync.write('applyPassageChanges', [storyId, changes, startPassage]);
+    },
+
+    async setPassages(storyId, passages, startPassage) {
+        return OfflineSync.write('setPassages', [storyId, passages, startPassage]);
+    },
+
+
+    // =====================================================
+    // SHARING - INVITATIONS & ROLES
+    // =====================================================
+    // A story keeps co-authors in collaborators: { uid: { email, role } } (plus
+    // collaboratorIds for querying) and pending invitations in
+    // invitations: { email: { role, invitedBy, invitedAt } } (plus inviteEmails).
+
+    // Stories the signed-in user has been invited to
+    async getInvitations() {
         await ensureInit();
-        // Use FieldPath to safely handle passage names with special characters
-        const batch = db.batch();
-        const docRef = db.collection('stories').doc(storyId);
-        Object.keys(data).forEach(key => {
-            const fieldPath = new firebase.firestore.FieldPath('passages', passageName, key);
-            batch.update(docRef, fieldPath, data[key]);
+        const email = AuthService.getCurrentUserEmail();
+        if (!email) return [];
+        const snap = await db.collection('stories')
+            .where('inviteEmails', 'array-contains', email)
+            .get();
+        return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    },
+
+    async invite(storyId, email, role) {
+        await ensureInit();
+        email = email.trim().toLowerCase();
+        await db.collection('stories').doc(storyId).update(
+            new firebase.firestore.FieldPath('invitations', email),
+            {
+                role,
+                invitedBy: auth.currentUser?.email || '',
+                invitedAt: firebase.firestore.FieldValue.serverTimestamp()
+            },
+            'inviteEmails', firebase.firestore.FieldValue.arrayUnion(email)
+        );
+    },
+
+    async cancelInvitation(storyId, email) {
+        await ensureInit();
+        await db.collection('stories').doc(storyId).update(
+            new firebase.firestore.FieldPath('invitations', email), firebase.firestore.FieldValue.delete(),
+            'inviteEmails', firebase.firestore.FieldValue.arrayRemove(email)
+        );
+    },
+
+    // Turn the signed-in user's invitation into a role in one write
+    async acceptInvitation(storyId, role) {
+        await ensureInit();
+        const uid = auth.currentUser?.uid;
+        const email = AuthService.getCurrentUserEmail();
+        if (!uid || !email) throw new Error('Not authenticated');
+        await db.collection('stories').doc(storyId).update(
+            new firebase.firestore.FieldPath('invitations', email), firebase.firestore.FieldValue.delete(),
+            'inviteEmails', firebase.firestore.FieldValue.arrayRemove(email),
+            new firebase.firestore.FieldPath('collaborators', uid), { email, role },
+            'collaboratorIds', firebase.firestore.FieldValue.arrayUnion(uid)
+        );
+    },
+
+    async declineInvitation(storyId) {
+        return this.cancelInvitation(storyId, AuthService.getCurrentUserEmail());
+    },
+
+    async setCollaboratorRole(storyId, uid, role) {
+        await ensureInit();
+        await db.collection('stories').doc(storyId).update(
+            new firebase.firestore.FieldPath('collaborators', uid, 'role'), role
+        );
+    },
+
+    async removeCollaborator(storyId, uid) {
+        await ensureInit();
+        await db.collection('stories').doc(storyId).update(
+            new firebase.firestore.FieldPath('collaborators', uid), firebase.firestore.FieldValue.delete(),
+            'collaboratorIds', firebase.firestore.FieldValue.arrayRemove(uid)
+        );
+    },
+
+    // =====================================================
+    // PASSAGE COMMENTS
+    // =====================================================
+    async getComments(storyId, passageName) {
+        await ensureInit();
+        const snap = await db.collection('stories').doc(storyId).collection('comments')
+            .where('passage', '==', passageName)
+            .get();
+        return snap.docs
+            .map(d => ({ id: d.id, ...d.data() }))
+            .sort((a, b) => (a.createdAt?.seconds || 0) - (b.createdAt?.seconds || 0));
+    },
+
+    async addComment(storyId, passageName, text) {
+        await ensureInit();
+        const user = auth.currentUser;
+        if (!user) throw new Error('Not authenticated');
+        const ref = await db.collection('stories').doc(storyId).collection('comments').add({
+            passage: passageName,
+            text,
+            authorId: user.uid,
+            authorName: user.displayName || user.email || 'Anonymous',
+            createdAt: firebase.firestore.FieldValue.serverTimestamp()
         });
-        batch.update(docRef, 'updatedAt', firebase.firestore.FieldValue.serverTimestamp());
-        await batch.commit();
+        return ref.id;
     },
 
-    async deletePassage(storyId, passageName, newStartPassage) {
+    async deleteComment(storyId, commentId) {
         await ensureInit();
-        const docRef = db.collection('stories').doc(storyId);
-        const fieldPath = new firebase.firestore.FieldPath('passages', passageName);
-        // Use alternating field/value args for FieldPath support
-        const args = [
-            fieldPath, firebase.firestore.FieldValue.delete(),
-            'updatedAt', firebase.firestore.FieldValue.serverTimestamp()
-        ];
-        if (newStartPassage !== undefined) {
-            args.push('startPassage', newStartPassage);
-        }
-        await docRef.update(...args);
+        await db.collection('stories').doc(storyId).collection('comments').doc(commentId).delete();
     },
 
-    async setPassages(storyId, passages, startPassage) {
+    // =====================================================
+    // LIVE UPDATES & PRESENCE
+    // =====================================================
+
+    // Call onChange(story, metadata) now and on every change; story is null once deleted.
+    // Returns an unsubscribe function.
+    subscribe(id, onChange, onError = console.error) {
+        return listen(
+            () => db.collection('stories').doc(id),
+            doc => {
+                // Until queued offline edits are synced, the local copy is newer than any snapshot
+                if (!navigator.onLine || OfflineSync.pending) return;
+                const story = doc.exists ? { id: doc.id, ...doc.data() } : null;
+                if (story) LocalCache.putStory(story).catch(console.error);
+                onChange(story, doc.metadata);
+            },
+            onError
+        );
+    },
+
+    // Call onChange([{ uid, name, passage, editing, updatedAt }]) with everyone present in a story
+    subscribePresence(storyId, onChange, onError = console.error) {
+        return listen(
+            () => db.collection('stories').doc(storyId).collection('presence'),
+            snap => onChange(snap.docs.map(d => ({ uid: d.id, ...d.data() }))),
+            onError
+        );
+    },
+
+    async setPresence(storyId, { passage = null, editing = false } = {}) {
+        if (!navigator.onLine) return;
         await ensureInit();
-        const update = {
-            passages,
+        const user = auth.currentUser;
+        if (!user) return;
+        await db.collection('stories').doc(storyId).collection('presence').doc(user.uid).set({
+            name: user.displayName || user.email || 'Anonymous',
+            passage,
+            editing,
             updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-        };
-        if (startPassage !== undefined) {
-            update.startPassage = startPassage;
-        }
-        await db.collection('stories').doc(storyId).update(update);
+        });
+    },
+
+    async clearPresence(storyId) {
+        if (!navigator.onLine) return;
+        await ensureInit();
+        const uid = auth.currentUser?.uid;
+        if (!uid) return;
+        await db.collection('stories').doc(storyId).collection('presence').doc(uid).delete();
     }
 };
 
-initFirebase().catch(console.error);
+async function fetchStory(id) {
+    await ensureInit();
+    const doc = await db.collection('stories').doc(id).get();
+    if (!doc.exists) return null;
+    const story = { id: doc.id, ...doc.data() };
+    LocalCache.putStory(story).catch(console.error);
+    return story;
+}
+
+// canRead() of firestore.rules, for the signed-in user
+function canReadCached(story) {
+    const user = auth?.currentUser;
+    if (['public', 'unlisted'].includes(story.visibility)) return true;
+    if (!user) return false;
+    return story.ownerId === user.uid ||
+        (story.collaboratorIds || []).includes(user.uid) ||
+        (story.inviteEmails || []).includes(user.email?.toLowerCase());
+}
+
+function sortByUpdated(stories) {
+    return stories.sort((a, b) => (b.updatedAt?.seconds || 0) - (a.updatedAt?.seconds || 0));
+}
+
+// onSnapshot once Firebase is ready; the returned function also cancels a pending subscription
+function listen(getRef, onNext, onError) {
+    let unsubscribe = null;
+    let cancelled = false;
+    ensureInit().then(() => {
+        if (!cancelled) unsubscribe = getRef().onSnapshot(onNext, onError);
+    }).catch(onError);
+    return () => {
+        cancelled = true;
+        if (unsubscribe) unsubscribe();
+    };
+}
+
+export const FirebaseBackend = {
+    auth: AuthService,
+    db: StoryDB,
+    features: { sharing: true, sync: true },
+
+    init(config) {
+        settings = config;
+        OfflineSync.connect({
+            writes: remoteWrites,
+            get: fetchStory,
+            create: data => StoryDB.create(data),
+            userId: () => auth?.currentUser?.uid || null
+        });
+        initFirebase().catch(console.error);
+    }
+};
@@ -0,0 +1,144 @@
+// =====================================================
+// UNDO / REDO HISTORY
+// =====================================================
+
+/**
+ * Command-based undo stack. Commands are pushed after they have been
+ * performed and look like { label, undo: async fn, redo: async fn }.
+ */
+export class UndoHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || 100;
+        this.onChange = options.onChange || (() => {});
+        this.undoStack = [];
+        this.redoStack = [];
+        this.busy = false;
+    }
+
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    canUndo() {
+        return !this.busy && this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return !this.busy && this.redoStack.length > 0;
+    }
+
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    // Returns the undone command, or null if there was nothing to undo.
+    // A failed undo stays on the undo stack.
+    async undo() {
+        return this._move(this.undoStack, this.redoStack, 'undo');
+    }
+
+    async redo() {
+        return this._move(this.redoStack, this.undoStack, 'redo');
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    async _move(from, to, action) {
+        if (this.busy || !from.length) return null;
+        const command = from.pop();
+        this.busy = true;
+        this.onChange();
+        try {
+            await command[action]();
+            to.push(command);
+            return command;
+        } catch (err) {
+            from.push(command);
+            throw err;
+        } finally {
+            this.busy = false;
+            this.onChange();
+        }
+    }
+}
+
+// =====================================================
+// STORY SNAPSHOTS
+// =====================================================
+
+/**
+ * Capture a story's passages and start passage before an edit
+ */
+export function snapshotStory(story) {
+    return {
+        passages: JSON.parse(JSON.stringify(story.passages || {})),
+        startPassage: story.startPassage
+    };
+}
+
+/**
+ * The change that turns snapshot `from` into snapshot `to`:
+ * { passages: { name: passage | null }, startPassage } where null removes the
+ * passage and startPassage is undefined when it didn't change.
+ */
+export function diffSnapshots(from, to) {
+    const passages = {};
+    new Set([...Object.keys(from.passages), ...Object.keys(to.passages)]).forEach(name => {
+        const before = Object.hasOwn(from.passages, name) ? from.passages[name] : undefined;
+        const after = Object.hasOwn(to.passages, name) ? to.passages[name] : undefined;
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            passages[name] = after || null;
+        }
+    });
+
+    return {
+        passages,
+        startPassage: from.startPassage !== to.startPassage ? to.startPassage : undefined
+    };
+}
+
+/**
+ * diffSnapshots for undo and redo: a changed passage is { fields, passage },
+ * the fields that differ (undefined where one was removed) and the whole
+ * passage as it is in `to`. Only those fields are written back, so undoing a
+ * move doesn't undo a collaborator's later edit to the same passage's text.
+ */
+export function diffPassageFields(from, to) {
+    const change = diffSnapshots(from, to);
+    Object.entries(change.passages).forEach(([name, passage]) => {
+        if (!passage) return;
+        const before = Object.hasOwn(from.passages, name) ? from.passages[name] : {};
+        const fields = {};
+        new Set([...Object.keys(before), ...Object.keys(passage)]).forEach(key => {
+            if (JSON.stringify(before[key]) !== JSON.stringify(passage[key])) fields[key] = passage[key];
+        });
+        change.passages[name] = { fields, passage };
+    });
+    return change;
+}
+
+// A { fields, passage } change applied to the passage as it is now (or to
+// change.passage when it has gone)
+export function applyPassageFields(current, { fields, passage }) {
+    const result = JSON.parse(JSON.stringify(current || passage));
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value === undefined) delete result[key];
+        else result[key] = JSON.parse(JSON.stringify(value));
+    });
+    return result;
+}
+
+export function isEmptyChange(change) {
+    return Object.keys(change.passages).length === 0 && change.startPassage === undefined;
+}
@@ -0,0 +1,37 @@
+// =====================================================
+// INDEXEDDB HELPER
+// =====================================================
+
+/**
+ * Open an IndexedDB database lazily and return withStore(name, mode, fn), which
+ * runs fn(store) in a transaction and resolves with the result of the request
+ * fn returns. upgrade(db) creates the object stores.
+ */
+export function createDatabase(dbName, version, upgrade) {
+    let dbPromise = null;
+
+    function open() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, version);
+            request.onupgradeneeded = () => upgrade(request.result);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+        return dbPromise;
+    }
+
+    return async function withStore(name, mode, fn) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(name, mode);
+            const request = fn(tx.objectStore(name));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+}
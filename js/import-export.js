@@ -3,6 +3,8 @@
 // =====================================================
 
 import { download } from './utils.js';
+import { createStoryRuntime } from './runtime.js';
+import { sanitizeStylesheet, scopeStylesheet } from './stylesheet.js';
 
 // =====================================================
 // GENERATE UUID v4 FOR IFID
@@ -187,9 +189,9 @@ function generateTwineArchive(story) {
     const formatVersion = story.formatVersion || '3.3.9';
     const zoom = story.zoom || 1;
     const storyTags = story.tags || '';
-    const stylesheet = story.stylesheet || '';
-    // Always clear javascript to prevent stored XSS in exports
-    const javascript = '';
+    const stylesheet = sanitizeStylesheet(story.stylesheet);
+    // Kept for Twine: a text/twine-javascript script is data and never runs here
+    const javascript = story.javascript || '';
 
     const safeStylesheet = (stylesheet || '').replace(/<\//gi, '<\\/');
     const safeJavascript = (javascript || '').replace(/<\//gi, '<\\/');
@@ -205,12 +207,49 @@ export function exportAsHtml(story) {
     download(story.title + '.html', html);
 }
 
-function generatePlayableHtml(story) {
-    const passages = story.passages || {};
-    const passagesJson = JSON.stringify(passages).replace(/<\/script>/gi, '<\\/script>');
+// Story JavaScript only runs once its author has switched it on for the story
+export function storyRunsScripts(story) {
+    return Boolean(story?.scriptsEnabled && story.javascript?.trim());
+}
+
+// Without allow-same-origin the frame gets an opaque origin: story scripts
+// can't reach the page's session, storage or DOM
+export const STORY_SANDBOX = 'allow-scripts allow-forms allow-modals';
+
+/**
+ * A standalone HTML page playing the story. With scripts, the story plays in
+ * a sandboxed frame inside the page, as it does in the editor; `framed` gives
+ * the page that goes in such a frame (the editor frames it itself), which
+ * keeps its save slots in the page around it.
+ */
+export function generatePlayableHtml(story, { scripts = storyRunsScripts(story), startPassage = story.startPassage, framed = false } = {}) {
+    if (scripts && !framed) {
+        return sandboxedPage(story, generatePlayableHtml(story, { scripts, startPassage, framed: true }));
+    }
+    return playerPage(story, { scripts, startPassage, framed });
+}
+
+/**
+ * The player itself. The story's JavaScript runs in its own script element
+ * before the first passage, so an error in it can't stop the story from starting.
+ */
+function playerPage(story, { scripts, startPassage, framed }) {
+    const storyJson = JSON.stringify({
+        id: story.id,
+        ifid: story.ifid,
+        title: story.title || '',
+        startPassage: story.startPassage || 'Start',
+        passages: story.passages || {}
+    }).replace(/<\//g, '<\\/');
     const safeTitle = escapeHtml(story.title);
-    const safeTitleJs = JSON.stringify(story.title || '').replace(/<\/script>/gi, '<\\/script>');
-    const safeStartPassage = JSON.stringify(story.startPassage || 'Start').replace(/<\/script>/gi, '<\\/script>');
+    // Scoped to the player just as in play mode, so the stylesheet looks the same
+    const stylesheet = scopeStylesheet(sanitizeStylesheet(story.stylesheet), '#player').replace(/<\//g, '<\\/');
+    // Inline the same runtime play mode uses so exports behave identically
+    const runtimeSource = createStoryRuntime.toString().replace(/<\/script/gi, '<\\/script');
+    const firstPassage = JSON.stringify(startPassage || 'Start').replace(/<\//g, '<\\/');
+    const storyScript = scripts && story.javascript
+        ? `<script>\n${story.javascript.replace(/<\/script/gi, '<\\/script')}\n</script>\n`
+        : '';
 
     return `<!DOCTYPE html>
 <html lang="en">
@@ -230,26 +269,74 @@ body {
     justify-content: center;
     padding: 2rem;
 }
-#story {
+#player {
+    width: 100%;
     max-width: 650px;
     background: rgba(45, 45, 90, 0.5);
     backdrop-filter: blur(10px);
-    padding: 3rem;
     border-radius: 16px;
     border: 1px solid rgba(139, 92, 246, 0.3);
+    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.4);
+}
+#story {
+    padding: 2.5rem 3rem 3rem;
     line-height: 1.9;
     font-size: 1.15rem;
-    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.4);
 }
 #story p { margin-bottom: 1.25rem; }
-.link {
+.play-toolbar {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.375rem;
+    padding: 1rem 1.5rem;
+    border-bottom: 1px solid rgba(139, 92, 246, 0.3);
+    font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+}
+.play-control {
+    padding: 0.375rem 0.75rem;
+    background: rgba(45, 45, 90, 0.8);
+    border: 1px solid rgba(139, 92, 246, 0.3);
+    border-radius: 6px;
+    color: #c8c8e0;
+    font: inherit;
+    font-size: 0.8rem;
+    cursor: pointer;
+}
+.play-control:hover:not(:disabled) { color: #fff; border-color: #a78bfa; }
+.play-control:disabled { opacity: 0.4; cursor: default; }
+.play-control.primary { background: #8b5cf6; border-color: #8b5cf6; color: #fff; }
+.play-saves-panel { flex-basis: 100%; padding-top: 0.5rem; }
+.play-save-form { display: flex; gap: 0.375rem; }
+.play-save-form input {
+    flex: 1;
+    padding: 0.375rem 0.625rem;
+    background: rgba(21, 21, 41, 0.8);
+    border: 1px solid rgba(139, 92, 246, 0.3);
+    border-radius: 6px;
+    color: #e8e8f0;
+    font: inherit;
+}
+.play-saves-message { font-size: 0.8rem; color: #a0a0c0; margin: 0.375rem 0; }
+.play-saves-message:empty { display: none; }
+.play-saves-list { list-style: none; max-height: 160px; overflow-y: auto; margin-top: 0.375rem; }
+.play-save-slot { display: flex; align-items: center; gap: 0.375rem; padding: 0.25rem 0; font-size: 0.85rem; }
+.play-save-slot span { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.story-link {
     color: #a78bfa;
     cursor: pointer;
     text-decoration: underline;
     text-underline-offset: 3px;
     transition: color 0.15s;
 }
-.link:hover { color: #c4b5fd; }
+.story-link:hover { color: #c4b5fd; }
+.macro-error {
+    color: #fca5a5;
+    background: rgba(239, 68, 68, 0.15);
+    font-family: monospace;
+    font-size: 0.9rem;
+    padding: 0 0.25rem;
+    border-radius: 4px;
+}
 h1 {
     font-size: 1.75rem;
     margin-bottom: 2rem;
@@ -257,56 +344,55 @@ h1 {
     font-weight: normal;
 }
 </style>
+<style id="story-stylesheet">
+${stylesheet}</style>
 </head>
 <body>
+<main id="player">
+<nav id="controls"></nav>
 <div id="story"></div>
+</main>
 <script>
-var passages = ${passagesJson};
-var startPassage = ${safeStartPassage};
-var storyTitle = ${safeTitleJs};
-
-function escHtml(s) {
-    var d = document.createElement('div');
-    d.textContent = s;
-    return d.innerHTML;
-}
-
-function showPassage(name) {
-    var p = passages[name];
-    if (!p) {
-        document.getElementById('story').innerHTML = '<p>Passage not found: ' + escHtml(name) + '</p>';
-        return;
-    }
-
-    var content = escHtml(p.content || '');
+var story = ${storyJson};
 
-    // Handle [[Display Text->Target]] syntax (-> is escaped to -&gt; after escHtml)
-    content = content.replace(/\\[\\[([^\\]]+)-&gt;([^\\]]+)\\]\\]/g, function(m, display, target) {
-        return '<span class="link" data-target="' + escHtml(target.trim()).replace(/"/g, '&quot;') + '">' + display.trim() + '</span>';
-    });
-
-    // Handle [[Display Text|Target]] syntax
-    content = content.replace(/\\[\\[([^\\]|]+)\\|([^\\]]+)\\]\\]/g, function(m, display, target) {
-        return '<span class="link" data-target="' + escHtml(target.trim()).replace(/"/g, '&quot;') + '">' + display.trim() + '</span>';
-    });
-
-    // Handle [[Target]] syntax (simple links)
-    content = content.replace(/\\[\\[([^\\]|>]+)\\]\\]/g, function(m, target) {
-        return '<span class="link" data-target="' + escHtml(target.trim()).replace(/"/g, '&quot;') + '">' + target.trim() + '</span>';
-    });
+${runtimeSource}
+</script>
+${storyScript}<script>
+var runtime = createStoryRuntime();
+var playthrough = runtime.createPlaythrough(story, {
+    content: document.getElementById('story'),
+    controls: document.getElementById('controls')${framed ? ',\n    storage: runtime.createFrameStorage()' : ''}
+});
+
+playthrough.start(${firstPassage});
+</script>
+</body>
+</html>`;
+}
 
-    content = content.split('\\n\\n').map(function(para) { return '<p>' + para.replace(/\\n/g, '<br>') + '</p>'; }).join('');
-    var el = document.getElementById('story');
-    el.innerHTML = '<h1>' + escHtml(storyTitle) + '</h1>' + content;
+// The player page in a sandboxed frame filling the window, with its save slots kept here
+function sandboxedPage(story, playerHtml) {
+    const runtimeSource = createStoryRuntime.toString().replace(/<\/script/gi, '<\\/script');
+    const saveKey = JSON.stringify(createStoryRuntime().saveKey(story)).replace(/<\//g, '<\\/');
+    const safeTitle = escapeHtml(story.title);
 
-    el.querySelectorAll('.link').forEach(function(link) {
-        link.addEventListener('click', function() {
-            showPassage(link.getAttribute('data-target'));
-        });
-    });
-}
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${safeTitle}</title>
+<style>
+html, body { margin: 0; height: 100%; background: #151529; }
+iframe { display: block; width: 100%; height: 100%; border: 0; }
+</style>
+</head>
+<body>
+<iframe id="story-frame" title="${safeTitle}" sandbox="${STORY_SANDBOX}" srcdoc="${escapeHtml(playerHtml)}"></iframe>
+<script>
+${runtimeSource}
 
-showPassage(startPassage);
+createStoryRuntime().connectFrameSaves(document.getElementById('story-frame'), ${saveKey});
 </script>
 </body>
 </html>`;
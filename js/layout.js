@@ -0,0 +1,352 @@
+// =====================================================
+// AUTO-ARRANGE - LAYERED & FORCE-DIRECTED LAYOUTS
+// =====================================================
+
+// Passage nodes are 160px wide and at least 100px tall
+export const NODE_WIDTH = 160;
+export const NODE_HEIGHT = 100;
+const COLUMN_STEP = NODE_WIDTH + 60;
+const ROW_STEP = NODE_HEIGHT + 80;
+// Wider layers wrap onto extra rows
+const MAX_ROW_LENGTH = 10;
+
+const FORCE_ITERATIONS = 300;
+// Preferred distance between linked passages' corners
+const FORCE_DISTANCE = 260;
+// Pull towards the middle that keeps unlinked groups from drifting apart
+const FORCE_GRAVITY = 0.1;
+// Passages further apart than this don't push each other
+const FORCE_REACH = FORCE_DISTANCE * 3;
+// Longest stretch a layout runs before letting the page handle input and paint, in ms
+const LAYOUT_SLICE = 30;
+
+/**
+ * Links between the passages being arranged, in the order they appear in
+ * each passage: { name: [target, ...] }. Links to passages outside `names`
+ * and links to itself are left out.
+ */
+function linkGraph(story, names, extractLinks) {
+    const included = new Set(names);
+    const graph = {};
+    names.forEach(name => {
+        graph[name] = [...new Set(extractLinks(story.passages[name].content))]
+            .filter(target => target !== name && included.has(target));
+    });
+    return graph;
+}
+
+// Top-left corner of the passages' current bounding box; the layout is placed there
+function currentOrigin(story, names) {
+    return {
+        x: Math.min(...names.map(name => story.passages[name].x || 100)),
+        y: Math.min(...names.map(name => story.passages[name].y || 100))
+    };
+}
+
+// Reading order of the current map, used to break ties
+function byPosition(story) {
+    return (a, b) => (story.passages[a].y || 100) - (story.passages[b].y || 100) ||
+        (story.passages[a].x || 100) - (story.passages[b].x || 100);
+}
+
+/**
+ * Top-down layout: the start passage on the first row, each passage one row
+ * below the first passage found linking to it, and siblings left to right in
+ * link order. Passages not reachable from the start begin new trees from the
+ * top-left of the current map. Layers wider than MAX_ROW_LENGTH wrap.
+ * Returns { name: { x, y } } for every name.
+ */
+export function layeredLayout(story, names, extractLinks) {
+    if (!names.length) return {};
+    const graph = linkGraph(story, names, extractLinks);
+    const roots = [...names].sort(byPosition(story));
+    if (names.includes(story.startPassage)) {
+        roots.splice(roots.indexOf(story.startPassage), 1);
+        roots.unshift(story.startPassage);
+    }
+
+    // Breadth-first from each root in turn
+    const layerOf = {};
+    const layers = [];
+    roots.forEach(root => {
+        if (root in layerOf) return;
+        layerOf[root] = 0;
+        const queue = [root];
+        while (queue.length) {
+            const name = queue.shift();
+            (layers[layerOf[name]] = layers[layerOf[name]] || []).push(name);
+            graph[name].forEach(target => {
+                if (target in layerOf) return;
+                layerOf[target] = layerOf[name] + 1;
+                queue.push(target);
+            });
+        }
+    });
+
+    // One sweep down the layers pulls each passage under the passages linking
+    // to it, which removes most crossings; discovery order breaks ties
+    const column = {};
+    layers[0].forEach((name, i) => { column[name] = i; });
+    for (let layer = 1; layer < layers.length; layer++) {
+        const parents = {};
+        layers[layer - 1].forEach(name => {
+            graph[name].forEach(target => {
+                if (layerOf[target] === layer) (parents[target] = parents[target] || []).push(column[name]);
+            });
+        });
+        const weight = name => parents[name]
+            ? parents[name].reduce((sum, c) => sum + c, 0) / parents[name].length
+            : Infinity;
+        layers[layer] = layers[layer]
+            .map((name, i) => ({ name, i, w: weight(name) }))
+            .sort((a, b) => a.w - b.w || a.i - b.i)
+            .map(entry => entry.name);
+        layers[layer].forEach((name, i) => { column[name] = i; });
+    }
+
+    const rows = [];
+    layers.forEach(layer => {
+        for (let i = 0; i < layer.length; i += MAX_ROW_LENGTH) rows.push(layer.slice(i, i + MAX_ROW_LENGTH));
+    });
+
+    // Rows are centered on the widest one
+    const origin = currentOrigin(story, names);
+    const widest = Math.max(...rows.map(row => row.length));
+    const positions = {};
+    rows.forEach((row, r) => {
+        const indent = (widest - row.length) * COLUMN_STEP / 2;
+        row.forEach((name, i) => {
+            positions[name] = {
+                x: Math.round(origin.x + indent + i * COLUMN_STEP),
+                y: Math.round(origin.y + r * ROW_STEP)
+            };
+        });
+    });
+    return positions;
+}
+
+// Space kept clear around each node when pulling overlapping ones apart
+const NODE_MARGIN = 20;
+const SEPARATE_PASSES = 50;
+
+// Neighbouring cells that come after a cell, so each pair of cells is visited once
+const LATER_CELLS = [[1, -1], [1, 0], [1, 1], [0, 1]];
+
+/**
+ * Calls visit(a, b) once for every pair of nodes in the same or neighbouring
+ * width × height cells of a grid, which includes every pair less than a cell
+ * apart. Comparing only those keeps large stories from costing n² per step.
+ */
+function forEachNearbyPair(nodes, width, height, visit) {
+    const cells = new Map();
+    nodes.forEach(node => {
+        const cx = Math.floor(node.x / width);
+        const cy = Math.floor(node.y / height);
+        const key = cx + ',' + cy;
+        if (!cells.has(key)) cells.set(key, { cx, cy, nodes: [] });
+        cells.get(key).nodes.push(node);
+    });
+
+    cells.forEach(({ cx, cy, nodes: here }) => {
+        for (let i = 0; i < here.length; i++) {
+            for (let j = i + 1; j < here.length; j++) visit(here[i], here[j]);
+        }
+        LATER_CELLS.forEach(([ox, oy]) => {
+            const there = cells.get((cx + ox) + ',' + (cy + oy));
+            if (!there) return;
+            here.forEach(a => there.nodes.forEach(b => visit(a, b)));
+        });
+    });
+}
+
+// A function to await between steps of a long layout: it waits for the next
+// task once the current slice of work has run for LAYOUT_SLICE
+function timeSlicer() {
+    let sliceStart = performance.now();
+    return async () => {
+        if (performance.now() - sliceStart < LAYOUT_SLICE) return;
+        await new Promise(resolve => setTimeout(resolve));
+        sliceStart = performance.now();
+    };
+}
+
+// Push apart nodes whose boxes overlap, along whichever axis needs the smaller move
+async function separateNodes(nodes, breathe) {
+    const minX = NODE_WIDTH + NODE_MARGIN;
+    const minY = NODE_HEIGHT + NODE_MARGIN;
+    for (let pass = 0; pass < SEPARATE_PASSES; pass++) {
+        let moved = false;
+        forEachNearbyPair(nodes, minX, minY, (a, b) => {
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const overlapX = minX - Math.abs(dx);
+            const overlapY = minY - Math.abs(dy);
+            if (overlapX <= 0 || overlapY <= 0) return;
+            moved = true;
+            if (overlapX / minX < overlapY / minY) {
+                const push = (dx < 0 ? -overlapX : overlapX) / 2;
+                a.x -= push;
+                b.x += push;
+            } else {
+                const push = (dy < 0 ? -overlapY : overlapY) / 2;
+                a.y -= push;
+                b.y += push;
+            }
+        });
+        if (!moved) return;
+        await breathe();
+    }
+}
+
+/**
+ * Force-directed layout: linked passages pull together and every passage
+ * pushes the others away, starting from the current positions so the result
+ * resembles the map it replaces. Deterministic for the same story. Large
+ * stories take a while, so the work is split into slices between which the
+ * page stays responsive. Resolves to { name: { x, y } } for every name.
+ */
+export async function forceLayout(story, names, extractLinks) {
+    if (!names.length) return {};
+    const graph = linkGraph(story, names, extractLinks);
+    const origin = currentOrigin(story, names);
+    const k = FORCE_DISTANCE;
+
+    // Passages stacked on the same spot are fanned out so forces can separate them
+    const nodes = names.map((name, i) => ({
+        name,
+        x: (story.passages[name].x || 100) + Math.cos(i) * 10,
+        y: (story.passages[name].y || 100) + Math.sin(i) * 10,
+        dx: 0,
+        dy: 0
+    }));
+    const index = {};
+    nodes.forEach((node, i) => { index[node.name] = i; });
+    const edges = [];
+    names.forEach(name => graph[name].forEach(target => edges.push([index[name], index[target]])));
+
+    const breathe = timeSlicer();
+    let temperature = k;
+    for (let step = 0; step < FORCE_ITERATIONS; step++) {
+        nodes.forEach(node => { node.dx = 0; node.dy = 0; });
+
+        forEachNearbyPair(nodes, FORCE_REACH, FORCE_REACH, (a, b) => {
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(Math.hypot(dx, dy), 1);
+            if (distance > FORCE_REACH) return;
+            const force = k * k / distance;
+            a.dx += dx / distance * force;
+            a.dy += dy / distance * force;
+            b.dx -= dx / distance * force;
+            b.dy -= dy / distance * force;
+        });
+
+        edges.forEach(([a, b]) => {
+            const dx = nodes[a].x - nodes[b].x;
+            const dy = nodes[a].y - nodes[b].y;
+            const distance = Math.max(Math.hypot(dx, dy), 1);
+            const force = distance * distance / k;
+            nodes[a].dx -= dx / distance * force;
+            nodes[a].dy -= dy / distance * force;
+            nodes[b].dx += dx / distance * force;
+            nodes[b].dy += dy / distance * force;
+        });
+
+        const cx = nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
+        const cy = nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length;
+        nodes.forEach(node => {
+            node.dx -= (node.x - cx) * FORCE_GRAVITY;
+            node.dy -= (node.y - cy) * FORCE_GRAVITY;
+        });
+
+        // Each step moves at most `temperature`, which cools to zero
+        nodes.forEach(node => {
+            const length = Math.max(Math.hypot(node.dx, node.dy), 1);
+            const move = Math.min(length, temperature);
+            node.x += node.dx / length * move;
+            node.y += node.dy / length * move;
+        });
+        temperature = k * (1 - (step + 1) / FORCE_ITERATIONS);
+        await breathe();
+    }
+    await separateNodes(nodes, breathe);
+
+    // Keep the arranged passages where they were on the canvas
+    const minX = Math.min(...nodes.map(node => node.x));
+    const minY = Math.min(...nodes.map(node => node.y));
+    const positions = {};
+    nodes.forEach(node => {
+        positions[node.name] = {
+            x: Math.round(origin.x + node.x - minX),
+            y: Math.round(origin.y + node.y - minY)
+        };
+    });
+    return positions;
+}
+
+export const LAYOUTS = {
+    layered: layeredLayout,
+    force: forceLayout
+};
+
+// =====================================================
+// BOUNDS
+// =====================================================
+
+// Box around all the passages ([{ x, y }]) in canvas coordinates, or null when there are none
+export function passageBounds(passages) {
+    if (!passages.length) return null;
+    const xs = passages.map(p => p.x || 100);
+    const ys = passages.map(p => p.y || 100);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return {
+        x,
+        y,
+        width: Math.max(...xs) + NODE_WIDTH - x,
+        height: Math.max(...ys) + NODE_HEIGHT - y
+    };
+}
+
+// =====================================================
+// OVERLAP PREVENTION
+// =====================================================
+// How far to search for a clear spot before giving up, in steps
+const MAX_NUDGE_STEPS = 100;
+
+function overlapsAny(x, y, occupied) {
+    return occupied.some(p =>
+        Math.abs((p.x || 100) - x) < NODE_WIDTH + NODE_MARGIN &&
+        Math.abs((p.y || 100) - y) < NODE_HEIGHT + NODE_MARGIN);
+}
+
+/**
+ * The smallest move { dx, dy }, in multiples of step, that puts every one of
+ * positions ({ name: { x, y } }, moved together) clear of the occupied
+ * positions ([{ x, y }]). { dx: 0, dy: 0 } when they already are, or when no
+ * clear spot is found nearby.
+ */
+export function findClearOffset(positions, occupied, step = 20) {
+    const moving = Object.values(positions);
+    const isClear = (dx, dy) => !moving.some(p => overlapsAny(p.x + dx, p.y + dy, occupied));
+    if (isClear(0, 0)) return { dx: 0, dy: 0 };
+
+    // Square rings of candidates around the start, nearest first within each ring
+    for (let ring = 1; ring <= MAX_NUDGE_STEPS; ring++) {
+        const candidates = [];
+        for (let i = -ring; i <= ring; i++) {
+            candidates.push([i, -ring], [i, ring]);
+            if (Math.abs(i) !== ring) candidates.push([-ring, i], [ring, i]);
+        }
+        candidates.sort((a, b) => Math.hypot(...a) - Math.hypot(...b));
+        const found = candidates.find(([i, j]) => isClear(i * step, j * step));
+        if (found) return { dx: found[0] * step, dy: found[1] * step };
+    }
+    return { dx: 0, dy: 0 };
+}
+
+// A spot for one new passage at or near (x, y) that doesn't overlap occupied
+export function findClearPosition(x, y, occupied, step = 20) {
+    const { dx, dy } = findClearOffset({ new: { x, y } }, occupied, step);
+    return { x: x + dx, y: y + dy };
+}
@@ -0,0 +1,298 @@
+// =====================================================
+// LOCAL BACKEND
+// =====================================================
+// Stories and comments in this browser's IndexedDB for a single local user,
+// with no server. Selected with backend: 'local' in config.js; see storage.js
+// for the interface it implements.
+
+import { deepClone } from './utils.js';
+import { createDatabase } from './idb.js';
+import { applyWrite } from './offline.js';
+
+const SIGNED_IN_KEY = 'twineed-local-signed-in';
+
+const LOCAL_USER = Object.freeze({ uid: 'local', email: null, displayName: 'You' });
+
+const withStore = createDatabase('twineed-local', 1, db => {
+    db.createObjectStore('stories', { keyPath: 'id' });
+    db.createObjectStore('comments', { keyPath: 'id' });
+});
+
+// Same shape as a Firestore Timestamp, which is all the app reads
+function timestamp() {
+    const ms = Date.now();
+    return { seconds: Math.floor(ms / 1000), nanoseconds: (ms % 1000) * 1e6 };
+}
+
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+}
+
+function sortByUpdated(stories) {
+    return stories.sort((a, b) =>
+        (b.updatedAt?.seconds || 0) - (a.updatedAt?.seconds || 0) ||
+        (b.updatedAt?.nanoseconds || 0) - (a.updatedAt?.nanoseconds || 0));
+}
+
+function unsupported(feature) {
+    return Promise.reject(new Error(`${feature} needs the online version of TwineEd`));
+}
+
+// =====================================================
+// AUTH - ONE LOCAL USER
+// =====================================================
+// Signed in unless they signed out; any sign-in method signs the local user back in
+const authListeners = new Set();
+
+function isSignedIn() {
+    return localStorage.getItem(SIGNED_IN_KEY) !== 'false';
+}
+
+function setSignedIn(signedIn) {
+    localStorage.setItem(SIGNED_IN_KEY, String(signedIn));
+    const user = signedIn ? LOCAL_USER : null;
+    authListeners.forEach(callback => callback(user));
+    return { user };
+}
+
+const AuthService = {
+    onAuthStateChanged(callback) {
+        authListeners.add(callback);
+        setTimeout(() => callback(isSignedIn() ? LOCAL_USER : null));
+    },
+
+    getCurrentUserId() {
+        return isSignedIn() ? LOCAL_USER.uid : null;
+    },
+
+    getCurrentUserEmail() {
+        return null;
+    },
+
+    async signInWithEmail() {
+        return setSignedIn(true);
+    },
+
+    async signUpWithEmail() {
+        return setSignedIn(true);
+    },
+
+    async signInWithGoogle() {
+        return setSignedIn(true);
+    },
+
+    async sendPasswordReset() {},
+
+    async signOut() {
+        setSignedIn(false);
+    },
+
+    getErrorMessage() {
+        return 'An error occurred. Please try again';
+    }
+};
+
+// =====================================================
+// LIVE UPDATES
+// =====================================================
+// Subscribers in this tab are called directly; other tabs hear about changes
+// over a BroadcastChannel and reload the story themselves.
+const subscribers = new Map();
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('twineed-local') : null;
+
+async function notifyStory(id, broadcast = true) {
+    if (broadcast) channel?.postMessage({ storyId: id });
+    const callbacks = subscribers.get(id);
+    if (!callbacks?.size) return;
+    const story = await StoryDB.get(id);
+    callbacks.forEach(callback => callback(deepClone(story), { hasPendingWrites: false }));
+}
+
+if (channel) {
+    channel.onmessage = event => notifyStory(event.data.storyId, false).catch(console.error);
+}
+
+// =====================================================
+// STORY DATABASE
+// =====================================================
+async function getStory(id) {
+    return (await withStore('stories', 'readonly', store => store.get(id))) || null;
+}
+
+async function putStory(story) {
+    const copy = deepClone(story);
+    await withStore('stories', 'readwrite', store => store.put(copy));
+    await notifyStory(story.id);
+}
+
+// Apply one of the passage/field writes shared with OfflineSync
+async function write(method, args) {
+    const story = await getStory(args[0]);
+    if (!story) throw new Error('Story not found');
+    applyWrite(story, method, args);
+    story.updatedAt = timestamp();
+    await putStory(story);
+}
+
+function requireUser() {
+    const uid = AuthService.getCurrentUserId();
+    if (!uid) throw new Error('Not authenticated');
+    return uid;
+}
+
+const StoryDB = {
+    async getAll() {
+        requireUser();
+        return sortByUpdated((await withStore('stories', 'readonly', store => store.getAll())) || []);
+    },
+
+    async getAllPublic() {
+        requireUser();
+        return (await this.getAll()).filter(story => story.visibility === 'public');
+    },
+
+    async get(id) {
+        return getStory(id);
+    },
+
+    async create(data) {
+        const uid = requireUser();
+        const id = generateId();
+        await putStory({
+            visibility: 'private',
+            ...deepClone(data),
+            id,
+            ownerId: uid,
+            createdAt: timestamp(),
+            updatedAt: timestamp()
+        });
+        return id;
+    },
+
+    async update(id, data) {
+        return write('update', [id, data]);
+    },
+
+    async delete(id) {
+        await withStore('stories', 'readwrite', store => store.delete(id));
+        const comments = await withStore('comments', 'readonly', store => store.getAll()) || [];
+        await withStore('comments', 'readwrite', store => {
+            comments.filter(c => c.storyId === id).forEach(c => store.delete(c.id));
+        });
+        await notifyStory(id);
+    },
+
+    async updatePassage(storyId, passageName, data) {
+        return this.updatePassages(storyId, { [passageName]: data });
+    },
+
+    async updatePassages(storyId, changes) {
+        return write('updatePassages', [storyId, changes]);
+    },
+
+    async deletePassage(storyId, passageName, newStartPassage) {
+        return this.deletePassages(storyId, [passageName], newStartPassage);
+    },
+
+    async deletePassages(storyId, passageNames, newStartPassage) {
+        return write('deletePassages', [storyId, passageNames, newStartPassage]);
+    },
+
+    async applyPassageChanges(storyId, changes, startPassage) {
+        return write('applyPassageChanges', [storyId, changes, startPassage]);
+    },
+
+    async setPassages(storyId, passages, startPassage) {
+        return write('setPassages', [storyId, passages, startPassage]);
+    },
+
+    // =====================================================
+    // SHARING - nobody else to share with
+    // =====================================================
+    async getInvitations() {
+        return [];
+    },
+
+    invite() {
+        return unsupported('Inviting co-authors');
+    },
+
+    cancelInvitation() {
+        return unsupported('Inviting co-authors');
+    },
+
+    acceptInvitation() {
+        return unsupported('Inviting co-authors');
+    },
+
+    declineInvitation() {
+        return unsupported('Inviting co-authors');
+    },
+
+    setCollaboratorRole() {
+        return unsupported('Co-authors');
+    },
+
+    removeCollaborator() {
+        return unsupported('Co-authors');
+    },
+
+    // =====================================================
+    // PASSAGE COMMENTS
+    // =====================================================
+    async getComments(storyId, passageName) {
+        const comments = await withStore('comments', 'readonly', store => store.getAll()) || [];
+        return comments
+            .filter(c => c.storyId === storyId && c.passage === passageName)
+            .sort((a, b) => a.createdAt.seconds - b.createdAt.seconds || a.createdAt.nanoseconds - b.createdAt.nanoseconds);
+    },
+
+    async addComment(storyId, passageName, text) {
+        const uid = requireUser();
+        const comment = {
+            id: generateId(),
+            storyId,
+            passage: passageName,
+            text,
+            authorId: uid,
+            authorName: LOCAL_USER.displayName,
+            createdAt: timestamp()
+        };
+        await withStore('comments', 'readwrite', store => store.add(comment));
+        return comment.id;
+    },
+
+    async deleteComment(storyId, commentId) {
+        await withStore('comments', 'readwrite', store => store.delete(commentId));
+    },
+
+    // =====================================================
+    // LIVE UPDATES & PRESENCE
+    // =====================================================
+    subscribe(id, onChange, onError = console.error) {
+        if (!subscribers.has(id)) subscribers.set(id, new Set());
+        subscribers.get(id).add(onChange);
+        this.get(id).then(story => {
+            if (subscribers.get(id)?.has(onChange)) onChange(deepClone(story), { hasPendingWrites: false });
+        }).catch(onError);
+        return () => subscribers.get(id)?.delete(onChange);
+    },
+
+    // Only the local user is ever here
+    subscribePresence(storyId, onChange) {
+        setTimeout(() => onChange([]));
+        return () => {};
+    },
+
+    async setPresence() {},
+
+    async clearPresence() {}
+};
+
+export const LocalBackend = {
+    auth: AuthService,
+    db: StoryDB,
+    features: { sharing: false, sync: false },
+
+    init() {}
+};
@@ -0,0 +1,141 @@
+// =====================================================
+// MINIMAP - WHOLE-STORY OVERVIEW & NAVIGATION
+// =====================================================
+
+import { NODE_WIDTH, NODE_HEIGHT, passageBounds } from './layout.js';
+
+// Canvas space kept around the story in the overview
+const MINIMAP_PADDING = 200;
+
+/**
+ * Draws every passage of the story scaled down into element's <canvas>, with
+ * the part of the canvas in view outlined by element's .minimap-viewport.
+ * Clicking or dragging on it pans the CanvasController there.
+ */
+export class Minimap {
+    constructor(element, canvas) {
+        this.element = element;
+        this.canvas = canvas;
+        this.drawing = element.querySelector('canvas');
+        this.viewportBox = element.querySelector('.minimap-viewport');
+
+        this.story = null;
+        this.selection = new Set();
+        // Canvas-to-minimap mapping of the last draw: minimap = (canvas - origin) * scale
+        this.origin = { x: 0, y: 0 };
+        this.scale = 1;
+        this.navigating = false;
+        this.frame = null;
+
+        this._bindEvents();
+    }
+
+    setStory(story) {
+        this.story = story;
+        this.selection = new Set();
+        this.update();
+    }
+
+    setSelection(names) {
+        this.selection = new Set(names);
+        this.update();
+    }
+
+    isVisible() {
+        return this.element.style.display !== 'none';
+    }
+
+    setVisible(visible) {
+        this.element.style.display = visible ? '' : 'none';
+        this.update();
+    }
+
+    // Redraw on the next frame; repeated calls in one frame draw once
+    update() {
+        if (this.frame !== null || !this.isVisible()) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this._draw();
+        });
+    }
+
+    _bindEvents() {
+        this.element.addEventListener('pointerdown', e => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            // The mapping stays fixed while navigating so the map doesn't shift under the pointer
+            this.navigating = true;
+            this._navigate(e);
+        });
+        document.addEventListener('pointermove', e => {
+            if (this.navigating) this._navigate(e);
+        });
+        const end = () => {
+            if (!this.navigating) return;
+            this.navigating = false;
+            this.update();
+        };
+        document.addEventListener('pointerup', end);
+        document.addEventListener('pointercancel', end);
+    }
+
+    _navigate(e) {
+        const rect = this.element.getBoundingClientRect();
+        this.canvas.centerOn(
+            this.origin.x + (e.clientX - rect.left) / this.scale,
+            this.origin.y + (e.clientY - rect.top) / this.scale
+        );
+    }
+
+    _draw() {
+        const width = this.element.clientWidth || 200;
+        const height = this.element.clientHeight || 140;
+        const viewport = this.canvas.getViewport();
+        const passages = Object.values(this.story?.passages || {});
+
+        if (!this.navigating) {
+            // Fit the story and the viewport, so the outline is always on the map
+            const story = passageBounds(passages) || viewport;
+            const left = Math.min(story.x, viewport.x) - MINIMAP_PADDING;
+            const top = Math.min(story.y, viewport.y) - MINIMAP_PADDING;
+            const right = Math.max(story.x + story.width, viewport.x + viewport.width) + MINIMAP_PADDING;
+            const bottom = Math.max(story.y + story.height, viewport.y + viewport.height) + MINIMAP_PADDING;
+            this.origin = { x: left, y: top };
+            this.scale = Math.min(width / (right - left), height / (bottom - top));
+        }
+
+        Object.assign(this.viewportBox.style, {
+            left: (viewport.x - this.origin.x) * this.scale + 'px',
+            top: (viewport.y - this.origin.y) * this.scale + 'px',
+            width: viewport.width * this.scale + 'px',
+            height: viewport.height * this.scale + 'px'
+        });
+
+        this.drawing.width = width;
+        this.drawing.height = height;
+        const ctx = this.drawing.getContext('2d');
+        if (!ctx) return;
+
+        const styles = getComputedStyle(this.element);
+        const color = name => styles.getPropertyValue(name).trim();
+        const colors = {
+            passage: color('--border-light') || '#4d4d8b',
+            start: color('--passage-start') || '#22c55e',
+            selected: color('--accent') || '#8b5cf6'
+        };
+
+        ctx.clearRect(0, 0, width, height);
+        passages.forEach(p => {
+            ctx.fillStyle = this.selection.has(p.name) ? colors.selected
+                : p.name === this.story.startPassage ? colors.start
+                : colors.passage;
+            ctx.fillRect(
+                ((p.x || 100) - this.origin.x) * this.scale,
+                ((p.y || 100) - this.origin.y) * this.scale,
+                Math.max(NODE_WIDTH * this.scale, 2),
+                Math.max(NODE_HEIGHT * this.scale, 2)
+            );
+        });
+    }
+}
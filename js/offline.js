@@ -0,0 +1,340 @@
+// =====================================================
+// OFFLINE CACHE & SYNC QUEUE
+// =====================================================
+
+import { deepClone } from './utils.js';
+import { createDatabase } from './idb.js';
+
+const withStore = createDatabase('twineed-offline', 1, db => {
+    db.createObjectStore('stories', { keyPath: 'id' });
+    db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+});
+
+// =====================================================
+// STORY CACHE
+// =====================================================
+export const LocalCache = {
+    async getStories() {
+        return (await withStore('stories', 'readonly', store => store.getAll())) || [];
+    },
+
+    async getStory(id) {
+        return (await withStore('stories', 'readonly', store => store.get(id))) || null;
+    },
+
+    async putStory(story) {
+        const copy = deepClone(story);
+        await withStore('stories', 'readwrite', store => store.put(copy));
+    },
+
+    // Replace the cached library with a fresh server listing
+    async replaceStories(stories) {
+        const copies = deepClone(stories);
+        await withStore('stories', 'readwrite', store => {
+            store.clear();
+            copies.forEach(story => store.put(story));
+        });
+    },
+
+    async deleteStory(id) {
+        await withStore('stories', 'readwrite', store => store.delete(id));
+    }
+};
+
+// =====================================================
+// APPLY A WRITE TO A PLAIN STORY OBJECT
+// =====================================================
+
+/**
+ * Mirror of the queueable StoryDB writes on a plain story object, so the
+ * cached copy shows edits that haven't reached the server yet.
+ */
+export function applyWrite(story, method, args) {
+    const passages = story.passages = story.passages || {};
+
+    switch (method) {
+        case 'update': {
+            Object.entries(args[1]).forEach(([key, value]) => {
+                const parts = key.split('.');
+                let target = story;
+                parts.slice(0, -1).forEach(part => {
+                    target = target[part] = target[part] || {};
+                });
+                target[parts[parts.length - 1]] = deepClone(value);
+            });
+            break;
+        }
+        case 'updatePassages':
+            Object.entries(args[1]).forEach(([name, data]) => {
+                passages[name] = { ...passages[name], ...deepClone(data) };
+            });
+            break;
+        case 'deletePassages':
+            args[1].forEach(name => delete passages[name]);
+            if (args[2] !== undefined) story.startPassage = args[2];
+            break;
+        case 'applyPassageChanges':
+            Object.entries(args[1]).forEach(([name, passage]) => {
+                if (passage) passages[name] = deepClone(passage);
+                else delete passages[name];
+            });
+            if (args[2] !== undefined) story.startPassage = args[2];
+            break;
+        case 'setPassages':
+            story.passages = deepClone(args[1]);
+            if (args[2] !== undefined) story.startPassage = args[2];
+            break;
+        default:
+            throw new Error(`Cannot queue ${method}`);
+    }
+    return story;
+}
+
+// =====================================================
+// SYNC QUEUE
+// =====================================================
+// A server call taking longer than this (ms) counts as offline: with a dead
+// connection that the browser still reports as online, Firestore retries
+// quietly instead of failing
+const SERVER_TIMEOUT = 10000;
+
+// While the connection is still down, a sync that was cut short is retried this often (ms)
+const RETRY_DELAY = 30000;
+
+function isNetworkError(err) {
+    return !navigator.onLine || ['unavailable', 'deadline-exceeded'].includes(err?.code);
+}
+
+// promise, or a 'deadline-exceeded' error if it hasn't settled within SERVER_TIMEOUT
+function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error('Server did not respond');
+            err.code = 'deadline-exceeded';
+            reject(err);
+        }, SERVER_TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Sends story writes through the connected backend when online and queues
+ * them in IndexedDB when not. Queued edits belong to the account that made
+ * them, and only that account's are replayed. flush() replays the queue in
+ * order; a story that changed on the server since the queued edits were made
+ * (its updatedAt moved on) isn't overwritten: the offline version is saved as a copy.
+ */
+export const OfflineSync = {
+    backend: null,
+    pending: 0,
+    syncing: false,
+    retryTimer: null,
+    // storyId -> Set of timed-out writes that may still reach the server
+    lateWrites: new Map(),
+    onStatusChange: () => {},
+    onConflict: () => {},
+
+    // backend: { writes: { method: fn }, get(id), create(data), userId() } talking to the server
+    connect(backend) {
+        this.backend = backend;
+        window.addEventListener('online', () => this._notify());
+        window.addEventListener('offline', () => this._notify());
+        this._countPending();
+    },
+
+    getStatus() {
+        return { online: navigator.onLine, pending: this.pending, syncing: this.syncing };
+    },
+
+    async write(method, args) {
+        const storyId = args[0];
+        let sending = null;
+        // Earlier edits still queued go first, so this one waits its turn
+        if (navigator.onLine && !this.pending) {
+            sending = this.backend.writes[method](...args);
+            try {
+                await withTimeout(sending);
+                await this._applyToCache(storyId, method, args);
+                return;
+            } catch (err) {
+                if (!isNetworkError(err)) throw err;
+            }
+        }
+
+        const uid = this.backend.userId();
+        const cached = await LocalCache.getStory(storyId);
+        const seq = await withStore('queue', 'readwrite', store => store.add({
+            uid,
+            storyId,
+            method,
+            args: deepClone(args),
+            baseUpdatedAt: cached?.updatedAt?.seconds || 0,
+            queuedAt: Date.now()
+        }));
+        await this._applyToCache(storyId, method, args);
+        this.pending++;
+        this._notify();
+        // A write that timed out may still get through, and then needn't be replayed
+        if (sending) this._trackLate(storyId, sending.then(() => this._landed(seq, storyId), () => {}));
+        this.flush();
+    },
+
+    _trackLate(storyId, landing) {
+        if (!this.lateWrites.has(storyId)) this.lateWrites.set(storyId, new Set());
+        const late = this.lateWrites.get(storyId);
+        late.add(landing);
+        landing.then(() => {
+            late.delete(landing);
+            if (!late.size) this.lateWrites.delete(storyId);
+        });
+    },
+
+    // Wait (up to SERVER_TIMEOUT) for the stories' timed-out writes to land or fail, so one
+    // that lands isn't written twice or taken for someone else's change. True if there were any.
+    async _settleLate(storyIds) {
+        const late = storyIds.flatMap(storyId => [...(this.lateWrites.get(storyId) || [])]);
+        if (!late.length) return false;
+        await withTimeout(Promise.all(late)).catch(() => {});
+        return true;
+    },
+
+    // The current account's queued edits, oldest first
+    async _queue() {
+        const uid = this.backend?.userId();
+        if (!uid) return [];
+        const queue = await withStore('queue', 'readonly', store => store.getAll()) || [];
+        return queue.filter(op => op.uid === uid);
+    },
+
+    // A timed-out write reached the server after all: the story's other
+    // queued edits were made online on top of it, so they don't need checking
+    async _landed(seq, storyId) {
+        try {
+            await withStore('queue', 'readwrite', store => store.delete(seq));
+            await this._markResolved(storyId);
+        } catch (err) {
+            console.error('Offline queue unavailable:', err);
+        }
+        if (!this.syncing) await this._countPending();
+    },
+
+    // Replay the rest of a story's queued edits without another conflict check
+    async _markResolved(storyId) {
+        const queue = await this._queue();
+        const rest = queue.filter(op => op.storyId === storyId && !op.resolved);
+        if (!rest.length) return;
+        await withStore('queue', 'readwrite', store => {
+            rest.forEach(op => store.put({ ...op, resolved: true }));
+        });
+    },
+
+    async flush() {
+        if (this.syncing || !navigator.onLine || !this.backend) return;
+        clearTimeout(this.retryTimer);
+        let queue;
+        try {
+            queue = await this._queue();
+        } catch (err) {
+            console.error('Offline queue unavailable:', err);
+            return;
+        }
+        if (!queue.length) return;
+
+        this.syncing = true;
+        this._notify();
+        const checked = {};
+        let interrupted = false;
+        try {
+            // Those that landed have left the queue and marked the rest of their story checked
+            if (await this._settleLate([...new Set(queue.map(op => op.storyId))])) queue = await this._queue();
+            for (const op of queue) {
+                if (!(op.storyId in checked)) {
+                    checked[op.storyId] = await this._resolveConflict(op);
+                }
+                if (checked[op.storyId] === 'write') {
+                    try {
+                        await withTimeout(this.backend.writes[op.method](...op.args));
+                    } catch (err) {
+                        if (isNetworkError(err)) {
+                            // Still offline: keep the rest queued, already checked for conflicts
+                            interrupted = true;
+                            for (const storyId of Object.keys(checked)) {
+                                if (checked[storyId] === 'write') await this._markResolved(storyId);
+                            }
+                            return;
+                        }
+                        console.error('Dropping queued write:', err);
+                    }
+                }
+                await withStore('queue', 'readwrite', store => store.delete(op.seq));
+            }
+
+            // Later queued edits compare against the server copy we just wrote
+            for (const storyId of Object.keys(checked)) {
+                const server = await withTimeout(this.backend.get(storyId));
+                if (server) await LocalCache.putStory(server);
+            }
+        } catch (err) {
+            interrupted = true;
+            console.error('Sync failed:', err);
+        } finally {
+            this.syncing = false;
+            await this._countPending();
+        }
+
+        // Edits made while syncing; or, when the connection is down without the
+        // browser noticing, there will be no 'online' event to try again on
+        if (!interrupted && this.pending) this.flush();
+        else if (interrupted && navigator.onLine) {
+            this.retryTimer = setTimeout(() => this.flush(), RETRY_DELAY);
+        }
+    },
+
+    // 'write' to replay a story's queued edits, 'skip' when they were saved as a copy or the story is gone
+    async _resolveConflict(op) {
+        if (op.resolved) return 'write';
+        const offline = await LocalCache.getStory(op.storyId);
+        const server = await withTimeout(this.backend.get(op.storyId));
+        if (!server) return 'skip';
+        if ((server.updatedAt?.seconds || 0) <= op.baseUpdatedAt || !offline) return 'write';
+
+        // Everything that's part of the story; its script stays off until enabled again, as on import
+        const title = `${offline.title} (offline copy)`;
+        await withTimeout(this.backend.create({
+            title,
+            startPassage: offline.startPassage,
+            passages: offline.passages,
+            tags: offline.tags || '',
+            tagColors: offline.tagColors || {},
+            stylesheet: offline.stylesheet || '',
+            javascript: offline.javascript || '',
+            scriptsEnabled: false
+        }));
+        this.onConflict({ storyId: op.storyId, title: offline.title, copyTitle: title });
+        return 'skip';
+    },
+
+    // The cache is a convenience: failing to update it mustn't fail the write
+    async _applyToCache(storyId, method, args) {
+        try {
+            const cached = await LocalCache.getStory(storyId);
+            if (cached) await LocalCache.putStory(applyWrite(cached, method, args));
+        } catch (err) {
+            console.error('Offline cache unavailable:', err);
+        }
+    },
+
+    async _countPending() {
+        try {
+            this.pending = (await this._queue()).length;
+        } catch (err) {
+            console.error('Offline queue unavailable:', err);
+        }
+        this._notify();
+    },
+
+    _notify() {
+        this.onStatusChange(this.getStatus());
+    }
+};
@@ -0,0 +1,142 @@
+// =====================================================
+// COMMAND PALETTE - FUZZY SEARCH OVER ACTIONS
+// =====================================================
+
+import { esc } from './utils.js';
+
+// Results shown at once; typing narrows the rest down
+const MAX_RESULTS = 50;
+
+/**
+ * Match query's characters, in order, anywhere in text, ignoring case.
+ * Returns { score, indices } (higher is better; runs of characters and
+ * matches at the start of words score more) or null when text doesn't match.
+ */
+export function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase();
+    const haystack = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let from = 0;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, from);
+        if (index === -1) return null;
+        const previous = indices[indices.length - 1];
+        if (previous === index - 1) score += 5;
+        if (index === 0 || /[\s\-_:/]/.test(text[index - 1])) score += 3;
+        score -= Math.min(index - from, 5);
+        indices.push(index);
+        from = index + 1;
+    }
+    // Between equal matches, the shorter text is the closer one
+    return { score: score - text.length / 100, indices };
+}
+
+// text with the characters at indices wrapped in <mark>, escaped
+function highlight(text, indices) {
+    const marked = new Set(indices);
+    return [...text].map((char, i) => marked.has(i) ? `<mark>${esc(char)}</mark>` : esc(char)).join('');
+}
+
+/**
+ * A modal list of commands ({ label, group, keys, run }) filtered by what's
+ * typed into input. The arrow keys pick a command, Enter runs it; the
+ * palette closes before it runs so commands can open modals of their own.
+ */
+export class CommandPalette {
+    constructor(overlay, input, list) {
+        this.overlay = overlay;
+        this.input = input;
+        this.list = list;
+        this.commands = [];
+        this.results = [];
+        this.active = 0;
+        this._bindEvents();
+    }
+
+    isOpen() {
+        return this.overlay.classList.contains('active');
+    }
+
+    open(commands) {
+        this.commands = commands;
+        this.input.value = '';
+        this.overlay.classList.add('active');
+        this.input.focus();
+        this._filter();
+    }
+
+    close() {
+        this.overlay.classList.remove('active');
+        this.input.blur();
+    }
+
+    // Commands marked `searchOnly` (one per passage, say) wait until something is typed
+    _filter() {
+        const query = this.input.value.trim();
+        this.results = query
+            ? this.commands
+                .map(command => ({ command, match: fuzzyMatch(query, command.label) }))
+                .filter(result => result.match)
+                .sort((a, b) => b.match.score - a.match.score)
+                .slice(0, MAX_RESULTS)
+            : this.commands
+                .filter(command => !command.searchOnly)
+                .map(command => ({ command, match: null }));
+        this.active = 0;
+        this._render();
+    }
+
+    _render() {
+        this.list.innerHTML = '';
+        if (!this.results.length) {
+            this.list.innerHTML = '<li class="palette-empty">No matching commands</li>';
+            return;
+        }
+        this.results.forEach(({ command, match }, i) => {
+            const item = document.createElement('li');
+            item.className = 'palette-item';
+            item.classList.toggle('active', i === this.active);
+            item.setAttribute('role', 'option');
+            item.innerHTML = `
+                <span class="palette-group">${esc(command.group || '')}</span>
+                <span class="palette-label">${match ? highlight(command.label, match.indices) : esc(command.label)}</span>
+                ${command.keys ? `<kbd>${esc(command.keys)}</kbd>` : ''}
+            `;
+            item.addEventListener('mousemove', () => this._setActive(i));
+            item.addEventListener('click', () => this._run(i));
+            this.list.appendChild(item);
+        });
+    }
+
+    _setActive(index) {
+        if (!this.results.length) return;
+        this.active = (index + this.results.length) % this.results.length;
+        this.list.querySelectorAll('.palette-item').forEach((item, i) => {
+            item.classList.toggle('active', i === this.active);
+            if (i === this.active) item.scrollIntoView?.({ block: 'nearest' });
+        });
+    }
+
+    _run(index) {
+        const result = this.results[index];
+        if (!result) return;
+        this.close();
+        result.command.run();
+    }
+
+    _bindEvents() {
+        this.input.addEventListener('input', () => this._filter());
+        this.input.addEventListener('keydown', e => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this._setActive(this.active + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                // Handled here, so the canvas doesn't also act on it once the palette closes
+                e.preventDefault();
+                e.stopPropagation();
+                this._run(this.active);
+            }
+        });
+    }
+}
@@ -0,0 +1,923 @@
+// =====================================================
+// STORY RUNTIME - MACROS, VARIABLES & PASSAGE RENDERING
+// =====================================================
+
+/**
+ * Create the story runtime: the single parser and renderer for passage markup.
+ *
+ * The editor (link extraction, link rewriting), play mode and the playable
+ * HTML export all go through it. Everything lives inside this one function on
+ * purpose: it must not import anything or reference module scope, because
+ * generatePlayableHtml() inlines its source verbatim into the exported file.
+ * Play mode and exports therefore run exactly the same code.
+ *
+ * Supported markup:
+ *   [[Target]]  [[Text|Target]]  [[Text->Target]]  [[Target<-Text]]
+ *   (set: $var to expr)    (print: expr)    $var
+ *   (if: expr)[hook]  (else-if: expr)[hook]  (else:)[hook]
+ *
+ * Expressions are parsed by a small recursive-descent parser, never eval().
+ */
+export function createStoryRuntime() {
+
+    // =====================================================
+    // ERRORS
+    // =====================================================
+    class MacroError extends Error {}
+
+    function has(obj, key) {
+        return Object.prototype.hasOwnProperty.call(obj, key);
+    }
+
+    // =====================================================
+    // STATE
+    // =====================================================
+    function createState() {
+        return { variables: Object.create(null) };
+    }
+
+    function getVariable(state, name) {
+        return has(state.variables, name) ? state.variables[name] : 0;
+    }
+
+    // =====================================================
+    // EXPRESSION TOKENIZER
+    // =====================================================
+    const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|\$([A-Za-z_]\w*)|([A-Za-z_]\w*)|(<=|>=|==|!=|[-+*\/%<>(),]))/y;
+
+    function tokenize(source) {
+        const tokens = [];
+        let pos = 0;
+
+        while (pos < source.length) {
+            if (!source.slice(pos).trim()) break;
+            TOKEN_PATTERN.lastIndex = pos;
+            const m = TOKEN_PATTERN.exec(source);
+            if (!m) {
+                throw new MacroError(`Unexpected "${source.slice(pos).trim()[0]}"`);
+            }
+            pos = TOKEN_PATTERN.lastIndex;
+
+            if (m[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(m[1]) });
+            else if (m[2] !== undefined) tokens.push({ type: 'string', value: m[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+            else if (m[3] !== undefined) tokens.push({ type: 'variable', value: m[3] });
+            else if (m[4] !== undefined) tokens.push({ type: 'word', value: m[4] });
+            else tokens.push({ type: 'op', value: m[5] });
+        }
+        return tokens;
+    }
+
+    // =====================================================
+    // EXPRESSION PARSER & EVALUATOR
+    // =====================================================
+    // Grammar (lowest to highest precedence):
+    //   or:       and ('or' and)*
+    //   and:      not ('and' not)*
+    //   not:      'not' not | compare
+    //   compare:  sum (('is' 'not'? | 'contains' | '==' | '!=' | '<' | '>' | '<=' | '>=') sum)?
+    //   sum:      product (('+' | '-') product)*
+    //   product:  unary (('*' | '/' | '%') unary)*
+    //   unary:    '-' unary | primary
+    //   primary:  number | string | true | false | $var | it | '(' or ')'
+    function createParser(tokens, state, it) {
+        let i = 0;
+
+        const peek = () => tokens[i];
+        const isWord = (word, t = peek()) => t && t.type === 'word' && t.value === word;
+        const isOp = (op, t = peek()) => t && t.type === 'op' && t.value === op;
+
+        function expect(check, message) {
+            if (!check) throw new MacroError(message);
+            return tokens[i++];
+        }
+
+        function parseOr() {
+            let left = parseAnd();
+            while (isWord('or')) {
+                i++;
+                const right = parseAnd();
+                left = Boolean(left) || Boolean(right);
+            }
+            return left;
+        }
+
+        function parseAnd() {
+            let left = parseNot();
+            while (isWord('and')) {
+                i++;
+                const right = parseNot();
+                left = Boolean(left) && Boolean(right);
+            }
+            return left;
+        }
+
+        function parseNot() {
+            if (isWord('not')) {
+                i++;
+                return !parseNot();
+            }
+            return parseCompare();
+        }
+
+        function parseCompare() {
+            const left = parseSum();
+            const t = peek();
+
+            if (isWord('is')) {
+                i++;
+                if (isWord('not')) {
+                    i++;
+                    return left !== parseSum();
+                }
+                return left === parseSum();
+            }
+            if (isWord('contains')) {
+                i++;
+                const right = parseSum();
+                if (typeof left !== 'string') throw new MacroError('Only text can "contain" something');
+                return left.includes(String(right));
+            }
+            if (t && t.type === 'op' && ['==', '!=', '<', '>', '<=', '>='].includes(t.value)) {
+                i++;
+                const right = parseSum();
+                switch (t.value) {
+                    case '==': return left === right;
+                    case '!=': return left !== right;
+                }
+                if (typeof left !== typeof right) {
+                    throw new MacroError(`Can't compare ${typeof left} with ${typeof right}`);
+                }
+                switch (t.value) {
+                    case '<': return left < right;
+                    case '>': return left > right;
+                    case '<=': return left <= right;
+                    case '>=': return left >= right;
+                }
+            }
+            return left;
+        }
+
+        function parseSum() {
+            let left = parseProduct();
+            while (isOp('+') || isOp('-')) {
+                const op = tokens[i++].value;
+                const right = parseProduct();
+                if (op === '+') {
+                    left = (typeof left === 'string' || typeof right === 'string')
+                        ? toText(left) + toText(right)
+                        : toNumber(left) + toNumber(right);
+                } else {
+                    left = toNumber(left) - toNumber(right);
+                }
+            }
+            return left;
+        }
+
+        function parseProduct() {
+            let left = parseUnary();
+            while (isOp('*') || isOp('/') || isOp('%')) {
+                const op = tokens[i++].value;
+                const a = toNumber(left);
+                const b = toNumber(parseUnary());
+                if ((op === '/' || op === '%') && b === 0) throw new MacroError("Can't divide by zero");
+                left = op === '*' ? a * b : op === '/' ? a / b : a % b;
+            }
+            return left;
+        }
+
+        function parseUnary() {
+            if (isOp('-')) {
+                i++;
+                return -toNumber(parseUnary());
+            }
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            const t = expect(peek(), 'Expression ended unexpectedly');
+
+            if (t.type === 'number' || t.type === 'string') return t.value;
+            if (t.type === 'variable') return getVariable(state, t.value);
+            if (isWord('true', t)) return true;
+            if (isWord('false', t)) return false;
+            if (isWord('it', t)) {
+                if (it === undefined) throw new MacroError('"it" can only be used inside (set:)');
+                return it;
+            }
+            if (isOp('(', t)) {
+                const value = parseOr();
+                expect(isOp(')'), 'Missing ")"');
+                return value;
+            }
+            throw new MacroError(`Unexpected "${t.value}"`);
+        }
+
+        return {
+            parseOr,
+            peek,
+            done: () => i >= tokens.length
+        };
+    }
+
+    function toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        const n = Number(value);
+        if (value === '' || Number.isNaN(n)) throw new MacroError(`"${value}" is not a number`);
+        return n;
+    }
+
+    function toText(value) {
+        return typeof value === 'number' && !Number.isInteger(value)
+            ? String(Math.round(value * 1e6) / 1e6)
+            : String(value);
+    }
+
+    function evaluateTokens(tokens, state, it) {
+        const parser = createParser(tokens, state, it);
+        const value = parser.parseOr();
+        if (!parser.done()) throw new MacroError(`Unexpected "${parser.peek().value}"`);
+        return value;
+    }
+
+    function evaluate(source, state) {
+        return evaluateTokens(tokenize(source), state);
+    }
+
+    // (set: $a to expr, $b to it + 1) - assignments run left to right
+    function runSet(source, state) {
+        const assignments = [[]];
+        let depth = 0;
+        tokenize(source).forEach(t => {
+            if (t.type === 'op' && t.value === '(') depth++;
+            if (t.type === 'op' && t.value === ')') depth--;
+            if (depth === 0 && t.type === 'op' && t.value === ',') assignments.push([]);
+            else assignments[assignments.length - 1].push(t);
+        });
+
+        assignments.forEach(([target, to, ...rest]) => {
+            if (!target || target.type !== 'variable') throw new MacroError('needs a $variable to set');
+            if (!to || to.type !== 'word' || to.value !== 'to') {
+                throw new MacroError(`is missing "to" after $${target.value}`);
+            }
+            state.variables[target.value] = evaluateTokens(rest, state, getVariable(state, target.value));
+        });
+    }
+
+    // =====================================================
+    // LINKS
+    // =====================================================
+    // inner between from and to, trimmed, with the offsets of what's left
+    function trimmedPart(inner, from, to) {
+        const raw = inner.slice(from, to);
+        const value = raw.trim();
+        const start = from + raw.length - raw.trimStart().length;
+        return { value, start, end: start + value.length };
+    }
+
+    // Rightmost "->" wins, then leftmost "<-", then last "|". Returns { text,
+    // target, textStart, textEnd, targetStart, targetEnd }: offsets are within inner
+    function parseLink(inner) {
+        let text;
+        let target;
+        const arrow = inner.lastIndexOf('->');
+        const backArrow = inner.indexOf('<-');
+        const pipe = inner.lastIndexOf('|');
+        if (arrow !== -1) {
+            text = trimmedPart(inner, 0, arrow);
+            target = trimmedPart(inner, arrow + 2, inner.length);
+        } else if (backArrow !== -1) {
+            text = trimmedPart(inner, backArrow + 2, inner.length);
+            target = trimmedPart(inner, 0, backArrow);
+        } else if (pipe !== -1) {
+            text = trimmedPart(inner, 0, pipe);
+            target = trimmedPart(inner, pipe + 1, inner.length);
+        } else {
+            text = target = trimmedPart(inner, 0, inner.length);
+        }
+        return {
+            text: text.value,
+            target: target.value,
+            textStart: text.start,
+            textEnd: text.end,
+            targetStart: target.start,
+            targetEnd: target.end
+        };
+    }
+
+    // =====================================================
+    // MARKUP PARSER
+    // =====================================================
+    // Produces a flat list of nodes; hooks attached to macros nest.
+    //   { type: 'text', value }
+    //   { type: 'link', text, target, start, end, textStart, textEnd, targetStart, targetEnd }
+    //     (offsets of the [[...]], its text and its target in source)
+    //   { type: 'variable', name }
+    //   { type: 'macro', name, args, hook: nodes | null }
+    const MACRO_START = /\(([A-Za-z][\w-]*):/y;
+    // Anything else written like a macro, "(Note: ...)", is prose
+    const MACRO_NAMES = new Set(['set', 'print', 'if', 'else-if', 'elseif', 'else']);
+    const VARIABLE = /\$([A-Za-z_]\w*)/y;
+
+    function parse(source) {
+        let pos = 0;
+
+        function findMacroEnd(start) {
+            let depth = 1;
+            let quote = null;
+            for (let j = start; j < source.length; j++) {
+                const c = source[j];
+                if (quote) {
+                    if (c === '\\') j++;
+                    else if (c === quote) quote = null;
+                } else if (c === '"' || c === "'") {
+                    quote = c;
+                } else if (c === '(') {
+                    depth++;
+                } else if (c === ')' && --depth === 0) {
+                    return j;
+                }
+            }
+            return -1;
+        }
+
+        function parseNodes(inHook) {
+            const nodes = [];
+            let text = '';
+            const flush = () => {
+                if (text) nodes.push({ type: 'text', value: text });
+                text = '';
+            };
+
+            while (pos < source.length) {
+                const c = source[pos];
+
+                if (c === ']' && inHook) {
+                    pos++;
+                    flush();
+                    return nodes;
+                }
+
+                if (c === '[' && source[pos + 1] === '[') {
+                    const end = source.indexOf(']]', pos + 2);
+                    if (end !== -1) {
+                        flush();
+                        const link = parseLink(source.slice(pos + 2, end));
+                        nodes.push({
+                            type: 'link',
+                            text: link.text,
+                            target: link.target,
+                            start: pos,
+                            end: end + 2,
+                            textStart: pos + 2 + link.textStart,
+                            textEnd: pos + 2 + link.textEnd,
+                            targetStart: pos + 2 + link.targetStart,
+                            targetEnd: pos + 2 + link.targetEnd
+                        });
+                        pos = end + 2;
+                        continue;
+                    }
+                }
+
+                if (c === '(') {
+                    MACRO_START.lastIndex = pos;
+                    const m = MACRO_START.exec(source);
+                    const end = m && MACRO_NAMES.has(m[1].toLowerCase()) ? findMacroEnd(MACRO_START.lastIndex) : -1;
+                    if (end !== -1) {
+                        flush();
+                        const macro = {
+                            type: 'macro',
+                            name: m[1].toLowerCase(),
+                            args: source.slice(MACRO_START.lastIndex, end),
+                            hook: null
+                        };
+                        pos = end + 1;
+                        // A hook follows directly; "[[" alone is a link, "[[[" is a hook holding a link
+                        if (source[pos] === '[' && (source[pos + 1] !== '[' || source[pos + 2] === '[')) {
+                            pos++;
+                            macro.hook = parseNodes(true);
+                        }
+                        nodes.push(macro);
+                        continue;
+                    }
+                }
+
+                if (c === '$') {
+                    VARIABLE.lastIndex = pos;
+                    const m = VARIABLE.exec(source);
+                    if (m) {
+                        flush();
+                        nodes.push({ type: 'variable', name: m[1] });
+                        pos = VARIABLE.lastIndex;
+                        continue;
+                    }
+                }
+
+                text += c;
+                pos++;
+            }
+
+            flush();
+            return nodes;
+        }
+
+        return parseNodes(false);
+    }
+
+    // =====================================================
+    // LINK HELPERS
+    // =====================================================
+    /**
+     * Every link in the source, in order, including links inside hooks
+     */
+    function findLinks(source) {
+        const links = [];
+        (function walk(nodes) {
+            nodes.forEach(node => {
+                if (node.type === 'link') links.push(node);
+                else if (node.type === 'macro' && node.hook) walk(node.hook);
+            });
+        })(parse(source || ''));
+        return links;
+    }
+
+    function extractLinks(source) {
+        return findLinks(source).map(link => link.target);
+    }
+
+    /**
+     * Point every link to `from` at `to` instead, keeping each link's form,
+     * text and spacing
+     */
+    function retargetLinks(source, from, to) {
+        if (!source) return source;
+        let result = '';
+        let last = 0;
+        findLinks(source).forEach(link => {
+            if (link.target !== from) return;
+            result += source.slice(last, link.targetStart) + to;
+            last = link.targetEnd;
+        });
+        return result + source.slice(last);
+    }
+
+    // =====================================================
+    // RENDERER
+    // =====================================================
+    // Rendering produces a flat list of inline pieces (strings and elements);
+    // blank lines in the strings then split them into paragraphs.
+    function renderError(message) {
+        const el = document.createElement('span');
+        el.className = 'macro-error';
+        el.textContent = message;
+        return el;
+    }
+
+    function renderNodes(nodes, state, out) {
+        // Result of the last (if:)/(else-if:) in this node list; null when there is none
+        let lastCondition = null;
+
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                out.push(node.value);
+            } else if (node.type === 'variable') {
+                out.push(toText(getVariable(state, node.name)));
+            } else if (node.type === 'link') {
+                const el = document.createElement('span');
+                el.className = 'story-link';
+                el.dataset.target = node.target;
+                el.textContent = node.text;
+                out.push(el);
+            } else if (node.type === 'macro') {
+                try {
+                    renderMacro(node);
+                } catch (err) {
+                    if (!(err instanceof MacroError)) throw err;
+                    out.push(renderError(`(${node.name}:) ${err.message}`));
+                }
+            }
+        });
+
+        function renderMacro(node) {
+            switch (node.name) {
+                case 'set':
+                    runSet(node.args, state);
+                    if (node.hook) renderNodes(node.hook, state, out);
+                    return;
+
+                case 'print':
+                    out.push(toText(evaluate(node.args, state)));
+                    return;
+
+                case 'if':
+                    if (!node.hook) throw new MacroError('needs a [hook] after it');
+                    lastCondition = Boolean(evaluate(node.args, state));
+                    if (lastCondition) renderNodes(node.hook, state, out);
+                    return;
+
+                case 'else-if':
+                case 'elseif':
+                    if (!node.hook) throw new MacroError('needs a [hook] after it');
+                    if (lastCondition === null) throw new MacroError('must come after an (if:)');
+                    if (lastCondition) return;
+                    lastCondition = Boolean(evaluate(node.args, state));
+                    if (lastCondition) renderNodes(node.hook, state, out);
+                    return;
+
+                case 'else':
+                    if (!node.hook) throw new MacroError('needs a [hook] after it');
+                    if (lastCondition === null) throw new MacroError('must come after an (if:)');
+                    if (lastCondition) return;
+                    lastCondition = true;
+                    renderNodes(node.hook, state, out);
+                    return;
+
+                default:
+                    throw new MacroError('is not a known macro');
+            }
+        }
+
+        return out;
+    }
+
+    function buildParagraphs(pieces) {
+        const paragraphs = [[]];
+        pieces.forEach(piece => {
+            if (typeof piece !== 'string') {
+                paragraphs[paragraphs.length - 1].push(piece);
+                return;
+            }
+            piece.split('\n\n').forEach((text, i) => {
+                if (i > 0) paragraphs.push([]);
+                if (text) paragraphs[paragraphs.length - 1].push(text);
+            });
+        });
+
+        const fragment = document.createDocumentFragment();
+        paragraphs.forEach(parts => {
+            // Trim whitespace at the edges so lines holding only macros leave no gaps
+            if (typeof parts[0] === 'string') parts[0] = parts[0].replace(/^\s+/, '');
+            const lastIndex = parts.length - 1;
+            if (typeof parts[lastIndex] === 'string') parts[lastIndex] = parts[lastIndex].replace(/\s+$/, '');
+            if (!parts.some(part => part)) return;
+
+            const p = document.createElement('p');
+            parts.forEach(part => {
+                if (typeof part !== 'string') {
+                    p.appendChild(part);
+                    return;
+                }
+                part.split('\n').forEach((line, i) => {
+                    if (i > 0) p.appendChild(document.createElement('br'));
+                    if (line) p.appendChild(document.createTextNode(line));
+                });
+            });
+            fragment.appendChild(p);
+        });
+        return fragment;
+    }
+
+    /**
+     * Render a passage into container, running its macros against state.
+     * Clicking a link calls onNavigate(targetName).
+     */
+    function renderPassage(container, story, passageName, state, onNavigate) {
+        container.textContent = '';
+
+        const passages = story.passages || {};
+        if (!has(passages, passageName)) {
+            const p = document.createElement('p');
+            p.textContent = `Passage not found: ${passageName}`;
+            container.appendChild(p);
+            return;
+        }
+
+        const title = document.createElement('h1');
+        title.textContent = story.title || '';
+        container.appendChild(title);
+        container.appendChild(buildParagraphs(renderNodes(parse(passages[passageName].content || ''), state, [])));
+
+        container.querySelectorAll('.story-link').forEach(link => {
+            link.addEventListener('click', () => onNavigate(link.dataset.target));
+        });
+    }
+
+    // =====================================================
+    // PLAYTHROUGH - HISTORY, RESTART & SAVE SLOTS
+    // =====================================================
+    function cloneVariables(variables) {
+        return Object.assign(Object.create(null), JSON.parse(JSON.stringify(variables)));
+    }
+
+    function button(label, onClick, className = 'play-control') {
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.className = className;
+        el.textContent = label;
+        if (onClick) el.addEventListener('click', onClick);
+        return el;
+    }
+
+    // Where a story's save slots are kept
+    function saveKey(story) {
+        return `twineed-saves:${story.ifid || story.id || story.title}`;
+    }
+
+    // localStorage, or null where it can't be used (a sandboxed frame, say)
+    function browserStorage() {
+        try {
+            const storage = window.localStorage;
+            storage.getItem('');
+            return storage;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function memoryStorage() {
+        const items = Object.create(null);
+        return {
+            getItem: key => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); }
+        };
+    }
+
+    /**
+     * Storage for a playthrough in a sandboxed frame, which has no storage of
+     * its own: it asks the page that framed it for the story's save slots and
+     * sends every change back there (see connectFrameSaves). Holds one
+     * story's slots, so keys are ignored. Until the slots arrive (`ready`)
+     * setItem throws, as a write then would replace them all.
+     */
+    function createFrameStorage() {
+        let value = null;
+        let loaded = false;
+        const ready = new Promise(resolve => {
+            window.addEventListener('message', e => {
+                if (e.source !== window.parent || !e.data || e.data.twineedSaves !== 'value' || loaded) return;
+                value = typeof e.data.value === 'string' ? e.data.value : null;
+                loaded = true;
+                resolve();
+            });
+        });
+        window.parent.postMessage({ twineedSaves: 'get' }, '*');
+        return {
+            ready,
+            getItem: () => value,
+            setItem: (key, newValue) => {
+                if (!loaded) throw new Error('Save slots are still loading');
+                value = String(newValue);
+                window.parent.postMessage({ twineedSaves: 'set', value }, '*');
+            }
+        };
+    }
+
+    /**
+     * The framing page's side of createFrameStorage: keeps the slots of the
+     * story playing in frame in localStorage under key. Only messages from
+     * that frame are answered, and every 'get' is, even without storage here.
+     * Returns a function that disconnects it.
+     */
+    function connectFrameSaves(frame, key) {
+        // No storage here either: the frame keeps its slots until it closes
+        const storage = browserStorage();
+        function onMessage(e) {
+            if (e.source !== frame.contentWindow || !e.data) return;
+            if (e.data.twineedSaves === 'get') {
+                frame.contentWindow.postMessage({ twineedSaves: 'value', value: storage ? storage.getItem(key) : null }, '*');
+            } else if (storage && e.data.twineedSaves === 'set' && typeof e.data.value === 'string') {
+                try {
+                    storage.setItem(key, e.data.value);
+                } catch (err) {
+                    // Storage full: the frame still has the slots until it closes
+                }
+            }
+        }
+        window.addEventListener('message', onMessage);
+        return () => window.removeEventListener('message', onMessage);
+    }
+
+    /**
+     * A playthrough of story rendered into content, with Back/Forward/Restart
+     * and save slot controls rendered into controls (optional).
+     *
+     * History holds every visited passage together with the variables as they
+     * were before it ran, so going back re-runs the passage from that point.
+     * Save slots live in storage (localStorage unless given, keyed by
+     * saveKey(story)). Where there's no storage at all they only last as long
+     * as the page, so the Saves control is hidden. Storage with a `ready`
+     * promise keeps the Saves control disabled until it resolves.
+     */
+    function createPlaythrough(story, { content, controls, storage = browserStorage() } = {}) {
+        const key = saveKey(story);
+        const saveStore = storage || memoryStorage();
+        let savesLoaded = !saveStore.ready;
+        if (saveStore.ready) {
+            saveStore.ready.then(() => {
+                savesLoaded = true;
+                updateControls();
+            });
+        }
+        let history = [];
+        let index = -1;
+        let state = createState();
+        let ui = null;
+
+        function show() {
+            const moment = history[index];
+            state = { variables: cloneVariables(moment.variables) };
+            renderPassage(content, story, moment.passage, state, go);
+            updateControls();
+        }
+
+        function go(passageName) {
+            history = history.slice(0, index + 1);
+            history.push({ passage: passageName, variables: cloneVariables(state.variables) });
+            index = history.length - 1;
+            show();
+        }
+
+        function start(passageName) {
+            history = [];
+            index = -1;
+            state = createState();
+            go(passageName);
+        }
+
+        function restart() {
+            start(history.length ? history[0].passage : story.startPassage);
+        }
+
+        function back() {
+            if (index <= 0) return;
+            index--;
+            show();
+        }
+
+        function forward() {
+            if (index >= history.length - 1) return;
+            index++;
+            show();
+        }
+
+        // ---------- Save slots ----------
+        function readSaves() {
+            try {
+                return Object.assign(Object.create(null), JSON.parse(saveStore.getItem(key)));
+            } catch (err) {
+                return Object.create(null);
+            }
+        }
+
+        function isValidSave(saved) {
+            return Boolean(saved && Array.isArray(saved.history) && saved.history[saved.index]);
+        }
+
+        function listSaves() {
+            const saves = readSaves();
+            return Object.keys(saves)
+                .filter(name => isValidSave(saves[name]))
+                .map(name => ({ name, passage: saves[name].history[saves[name].index].passage, savedAt: saves[name].savedAt }))
+                .sort((a, b) => b.savedAt - a.savedAt);
+        }
+
+        // Throws if storage is unavailable or full
+        function save(slot) {
+            const saves = readSaves();
+            saves[slot] = { history, index, savedAt: Date.now() };
+            saveStore.setItem(key, JSON.stringify(saves));
+            updateControls();
+        }
+
+        function load(slot) {
+            const saved = readSaves()[slot];
+            if (!isValidSave(saved)) return false;
+            history = saved.history;
+            index = saved.index;
+            show();
+            return true;
+        }
+
+        function deleteSave(slot) {
+            const saves = readSaves();
+            delete saves[slot];
+            saveStore.setItem(key, JSON.stringify(saves));
+            updateControls();
+        }
+
+        // ---------- Controls ----------
+        function buildControls() {
+            const savesPanel = document.createElement('div');
+            savesPanel.className = 'play-saves-panel';
+            savesPanel.hidden = true;
+
+            const form = document.createElement('form');
+            form.className = 'play-save-form';
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = 'Save name';
+            input.maxLength = 60;
+            const submit = button('Save', null, 'play-control primary');
+            submit.type = 'submit';
+            form.appendChild(input);
+            form.appendChild(submit);
+
+            const message = document.createElement('p');
+            message.className = 'play-saves-message';
+            const list = document.createElement('ul');
+            list.className = 'play-saves-list';
+            savesPanel.appendChild(form);
+            savesPanel.appendChild(message);
+            savesPanel.appendChild(list);
+
+            form.addEventListener('submit', e => {
+                e.preventDefault();
+                const slot = input.value.trim();
+                if (!slot) return;
+                try {
+                    save(slot);
+                    input.value = '';
+                    message.textContent = `Saved "${slot}"`;
+                } catch (err) {
+                    message.textContent = 'Saving is not available in this browser';
+                }
+            });
+
+            ui = {
+                back: button('\u2190 Back', back),
+                forward: button('Forward \u2192', forward),
+                restart: button('Restart', restart),
+                saves: button('Saves', () => {
+                    savesPanel.hidden = !savesPanel.hidden;
+                    message.textContent = '';
+                    updateControls();
+                }),
+                savesPanel,
+                list
+            };
+            ui.saves.hidden = !storage;
+
+            controls.textContent = '';
+            controls.classList.add('play-toolbar');
+            [ui.back, ui.forward, ui.restart, ui.saves, savesPanel].forEach(el => controls.appendChild(el));
+        }
+
+        function updateControls() {
+            if (!controls) return;
+            if (!ui) buildControls();
+
+            ui.back.disabled = index <= 0;
+            ui.forward.disabled = index >= history.length - 1;
+            ui.saves.disabled = !savesLoaded;
+            if (ui.savesPanel.hidden) return;
+
+            ui.list.textContent = '';
+            listSaves().forEach(slot => {
+                const item = document.createElement('li');
+                item.className = 'play-save-slot';
+                const label = document.createElement('span');
+                label.textContent = `${slot.name} \u2014 ${slot.passage}`;
+                label.title = new Date(slot.savedAt).toLocaleString();
+                item.appendChild(label);
+                item.appendChild(button('Load', () => {
+                    load(slot.name);
+                    ui.savesPanel.hidden = true;
+                }));
+                item.appendChild(button('Delete', () => deleteSave(slot.name)));
+                ui.list.appendChild(item);
+            });
+        }
+
+        return {
+            start,
+            go,
+            back,
+            forward,
+            restart,
+            save,
+            load,
+            deleteSave,
+            listSaves,
+            getState: () => state,
+            getHistory: () => history.slice(0, index + 1).map(moment => moment.passage)
+        };
+    }
+
+    return {
+        createState,
+        evaluate,
+        parse,
+        parseLink,
+        findLinks,
+        extractLinks,
+        retargetLinks,
+        renderPassage,
+        saveKey,
+        createFrameStorage,
+        connectFrameSaves,
+        createPlaythrough
+    };
+}
+
+// Shared instance for the editor's link handling
+export const storyRuntime = createStoryRuntime();
@@ -0,0 +1,189 @@
+// =====================================================
+// SEARCH - FIND & REPLACE ACROSS PASSAGES
+// =====================================================
+
+import { storyRuntime } from './runtime.js';
+import { validatePassageName } from './utils.js';
+
+// Characters of context shown either side of a match
+const EXCERPT_CONTEXT = 30;
+
+/**
+ * A matcher for query: plain text unless regex is set, ignoring case unless
+ * caseSensitive is set. Returns null for an empty query; throws a SyntaxError
+ * for a regex that doesn't compile.
+ */
+export function createMatcher(query, { caseSensitive = false, regex = false } = {}) {
+    if (!query) return null;
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return { pattern: new RegExp(source, caseSensitive ? 'g' : 'gi'), regex };
+}
+
+// Matches in text; empty matches ("e*" between letters) don't count
+function findMatches(text, matcher) {
+    return [...(text || '').matchAll(matcher.pattern)].filter(m => m[0].length);
+}
+
+function countMatches(text, matcher) {
+    return findMatches(text, matcher).length;
+}
+
+// text around the first match, with the match marked by { before, match, after }
+function excerpt(text, matcher) {
+    const match = findMatches(text, matcher)[0];
+    if (!match) return null;
+    const start = Math.max(0, match.index - EXCERPT_CONTEXT);
+    const end = Math.min(text.length, match.index + match[0].length + EXCERPT_CONTEXT);
+    return {
+        before: (start > 0 ? '...' : '') + text.slice(start, match.index),
+        match: match[0],
+        after: text.slice(match.index + match[0].length, end) + (end < text.length ? '...' : '')
+    };
+}
+
+/**
+ * Passages whose name or content matches, in reading order of the map:
+ * [{ name, nameMatches, contentMatches, excerpt }]. Empty matches don't count.
+ */
+export function searchPassages(story, matcher) {
+    if (!matcher) return [];
+    return Object.values(story.passages || {})
+        .map(p => ({
+            name: p.name,
+            nameMatches: countMatches(p.name, matcher),
+            contentMatches: countMatches(p.content, matcher),
+            excerpt: excerpt(p.content || '', matcher),
+            y: p.y || 100,
+            x: p.x || 100
+        }))
+        .filter(result => result.nameMatches || result.contentMatches)
+        .sort((a, b) => a.y - b.y || a.x - b.x)
+        .map(({ x, y, ...result }) => result);
+}
+
+// The replacement for one regex match, with $1, $<name>, $& etc. filled in as String.replace does
+function expandReplacement(replacement, match) {
+    const groupCount = match.length - 1;
+    return replacement.replace(/\$(\$|&|`|'|\d\d?|<([^>]*)>)/g, (token, key, name) => {
+        if (key === '$') return '$';
+        if (key === '&') return match[0];
+        if (key === '`') return match.input.slice(0, match.index);
+        if (key === "'") return match.input.slice(match.index + match[0].length);
+        if (name !== undefined) return match.groups ? match.groups[name] ?? '' : token;
+        // "$12" with fewer than 12 groups is group 1 followed by "2"
+        if (key.length === 2 && Number(key) > groupCount) {
+            const n = Number(key[0]);
+            return n >= 1 && n <= groupCount ? (match[n] ?? '') + key[1] : token;
+        }
+        const n = Number(key);
+        return n >= 1 && n <= groupCount ? match[n] ?? '' : token;
+    });
+}
+
+/**
+ * Apply edits ([{ start, end, text }], not overlapping) to text. Matches are
+ * found in the whole text, so anchors and lookarounds see what search sees.
+ */
+function applyEdits(text, edits) {
+    let result = '';
+    let last = 0;
+    [...edits].sort((a, b) => a.start - b.start).forEach(edit => {
+        result += text.slice(last, edit.start) + edit.text;
+        last = edit.end;
+    });
+    return result + text.slice(last);
+}
+
+// An edit for every match that allowed(start, end); plain text replacements
+// are literal: "$1" is not a group reference
+function matchEdits(text, matcher, replacement, allowed = () => true) {
+    return findMatches(text, matcher)
+        .filter(m => allowed(m.index, m.index + m[0].length))
+        .map(m => ({
+            start: m.index,
+            end: m.index + m[0].length,
+            text: matcher.regex ? expandReplacement(replacement, m) : replacement
+        }));
+}
+
+function replaceText(text, matcher, replacement) {
+    return applyEdits(text, matchEdits(text, matcher, replacement));
+}
+
+// Where in a link matches may be replaced: its text, and its target when that's
+// a broken link. [[Target]] is both, so only when the link is broken.
+function editableRanges(link, existing) {
+    const simple = link.textStart === link.targetStart && link.textEnd === link.targetEnd;
+    if (existing) return simple ? [] : [[link.textStart, link.textEnd]];
+    return simple ? [[link.textStart, link.textEnd]] : [[link.textStart, link.textEnd], [link.targetStart, link.targetEnd]];
+}
+
+/**
+ * Replace in a passage's content without breaking links: the target of a link
+ * to an existing passage becomes that passage's new name from renames, while
+ * link text, broken link targets and the rest of the text are replaced as usual.
+ * Matches reaching into link markup or a kept target are left alone.
+ */
+function replaceContent(content, matcher, replacement, renames) {
+    const links = storyRuntime.findLinks(content).map(link => ({
+        ...link,
+        existing: Object.hasOwn(renames, link.target)
+    }));
+    const allowed = (start, end) => links.every(link =>
+        end <= link.start || start >= link.end ||
+        editableRanges(link, link.existing).some(([from, to]) => from <= start && end <= to)
+    );
+
+    const edits = matchEdits(content, matcher, replacement, allowed);
+    links.forEach(link => {
+        if (link.existing && renames[link.target] !== link.target) {
+            edits.push({ start: link.targetStart, end: link.targetEnd, text: renames[link.target] });
+        }
+    });
+    return applyEdits(content, edits);
+}
+
+/**
+ * Replace every match in passage names and content. Renamed passages keep
+ * their links: links to them are pointed at the new name. Returns
+ * { passages, startPassage, changes: [{ name, newName, before, after }], errors }
+ * where passages is the whole new set and errors lists names that would be
+ * invalid or taken twice; nothing should be written while there are errors.
+ */
+export function replaceInPassages(story, matcher, replacement) {
+    const passages = story.passages || {};
+    const renames = {};
+    Object.keys(passages).forEach(name => {
+        renames[name] = replaceText(name, matcher, replacement);
+    });
+
+    const errors = [];
+    const taken = {};
+    Object.entries(renames).forEach(([name, newName]) => {
+        if (newName === name) return;
+        const error = validatePassageName(newName);
+        if (error) errors.push(`"${name}" → "${newName}": ${error}`);
+    });
+    Object.entries(renames).forEach(([name, newName]) => {
+        if (taken[newName]) errors.push(`"${taken[newName]}" and "${name}" would both be named "${newName}"`);
+        taken[newName] = name;
+    });
+
+    const result = {};
+    const changes = [];
+    Object.values(passages).forEach(p => {
+        const newName = renames[p.name];
+        const content = replaceContent(p.content || '', matcher, replacement, renames);
+        result[newName] = { ...p, name: newName, content };
+        if (newName !== p.name || content !== (p.content || '')) {
+            changes.push({ name: p.name, newName, before: p.content || '', after: content });
+        }
+    });
+
+    return {
+        passages: result,
+        startPassage: renames[story.startPassage] ?? story.startPassage,
+        changes,
+        errors
+    };
+}
@@ -0,0 +1,32 @@
+// =====================================================
+// STORAGE BACKEND
+// =====================================================
+// The app only talks to AuthService and StoryDB exported here. Which backend
+// provides them is chosen by config.backend (see config.js). A backend is
+//   { auth, db, features: { sharing, sync }, init(config) }
+// where auth has onAuthStateChanged, getCurrentUserId, getCurrentUserEmail,
+// signInWithEmail, signUpWithEmail, signInWithGoogle, sendPasswordReset,
+// signOut and getErrorMessage, and db has the StoryDB methods of firebase.js:
+// stories, passages, sharing, comments, subscribe and presence. Timestamps
+// are { seconds, nanoseconds } like Firestore's. features.sharing is false
+// when there are no other users to invite; features.sync when there is no
+// server to sync offline edits with.
+
+import { config } from './config.js';
+import { FirebaseBackend } from './firebase.js';
+import { LocalBackend } from './local-backend.js';
+
+const BACKENDS = {
+    firebase: FirebaseBackend,
+    local: LocalBackend
+};
+
+const backend = BACKENDS[config.backend];
+if (!backend) {
+    throw new Error(`Unknown storage backend "${config.backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+}
+backend.init(config);
+
+export const AuthService = backend.auth;
+export const StoryDB = backend.db;
+export const backendFeatures = backend.features;
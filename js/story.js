@@ -3,6 +3,18 @@
 // =====================================================
 
 import { esc } from './utils.js';
+import { storyRuntime } from './runtime.js';
+import { analyzeStory } from './analysis.js';
+import { passageTags, passageColor, tagColor } from './tags.js';
+import { sanitizeStylesheet, scopeStylesheet } from './stylesheet.js';
+import { generatePlayableHtml, storyRunsScripts, STORY_SANDBOX } from './import-export.js';
+import { NODE_WIDTH, NODE_HEIGHT } from './layout.js';
+
+// Canvas space around the view that is rendered too, so panning doesn't show gaps
+const VIEWPORT_MARGIN = 400;
+
+// Two taps on a passage this close together (ms) open it, as a double click does
+const DOUBLE_TAP_DELAY = 300;
 
 export class StoryRenderer {
     constructor(options) {
@@ -11,14 +23,43 @@ export class StoryRenderer {
         this.onPassageSelect = options.onPassageSelect || (() => {});
         this.onPassageEdit = options.onPassageEdit || (() => {});
         this.onPassageDragStart = options.onPassageDragStart || (() => {});
+        this.onSelectionChange = options.onSelectionChange || (() => {});
+        this.onAnalysis = options.onAnalysis || (() => {});
+        this.onRender = options.onRender || (() => {});
 
         this.currentStory = null;
+        // selectedPassage is the one last clicked (edited, previewed, shown to
+        // collaborators); selection holds every selected passage, including it
         this.selectedPassage = null;
+        this.selection = new Set();
+        this.analysis = null;
+        this.presence = {};
+        this.tagFilter = null;
+        // Names of passages matching the find panel's search
+        this.searchMatches = new Set();
+
+        // Only passages and links in (or near) the viewport are in the DOM.
+        // nodes: name -> rendered node; nodeKeys: name -> the key it was built from;
+        // edges: "from\ntarget" -> { path, arrow }; incoming: target -> sources
+        this.viewport = null;
+        this.nodes = new Map();
+        this.nodeKeys = new Map();
+        this.edges = new Map();
+        this.incoming = new Map();
+        // Parsed links by passage content, so unchanged passages aren't re-parsed
+        this.linkCache = new Map();
+        this.viewFrame = null;
+        // The last touch or pen tap on a passage: { name, time, opened }, opened
+        // when it was the second of a double tap
+        this.lastTap = null;
     }
 
     setStory(story) {
         this.currentStory = story;
         this.selectedPassage = null;
+        this.selection = new Set();
+        this._clear();
+        this.onSelectionChange([]);
     }
 
     getSelectedPassage() {
@@ -26,7 +67,85 @@ export class StoryRenderer {
     }
 
     setSelectedPassage(name) {
-        this.selectedPassage = name;
+        this.setSelection(name ? [name] : []);
+    }
+
+    getSelection() {
+        return [...this.selection];
+    }
+
+    isSelected(name) {
+        return this.selection.has(name);
+    }
+
+    setSelection(names, primary = names[names.length - 1] ?? null) {
+        this.selection = new Set(names);
+        this.selectedPassage = this.selection.has(primary) ? primary : null;
+        this.nodes.forEach((node, name) => node.classList.toggle('selected', this.selection.has(name)));
+        this.onSelectionChange(this.getSelection());
+    }
+
+    // Add or remove one passage, as Shift+click does
+    toggleSelected(name) {
+        const names = this.getSelection();
+        if (this.selection.has(name)) {
+            this.setSelection(names.filter(n => n !== name), this.selectedPassage === name ? null : this.selectedPassage);
+        } else {
+            this.setSelection([...names, name], name);
+        }
+    }
+
+    // Passages overlapping rect ({ x, y, width, height } in canvas coordinates), rendered or not
+    passagesInRect(rect) {
+        return Object.values(this.currentStory?.passages || {})
+            .filter(p => {
+                const box = this._passageBox(p);
+                return box.x < rect.x + rect.width && box.x + box.width > rect.x &&
+                    box.y < rect.y + rect.height && box.y + box.height > rect.y;
+            })
+            .map(p => p.name);
+    }
+
+    getAnalysis() {
+        return this.analysis;
+    }
+
+    // Collaborators per passage: { passageName: [{ name, color, editing }] }
+    setPresence(byPassage) {
+        this.presence = byPassage || {};
+        this.nodes.forEach(node => this._renderPresence(node));
+    }
+
+    getTagFilter() {
+        return this.tagFilter;
+    }
+
+    // Highlight passages carrying this tag and dim the rest; null shows all
+    setTagFilter(tag) {
+        this.tagFilter = tag || null;
+        this.nodes.forEach(node => this._applyTagFilter(node));
+    }
+
+    // Outline the passages named; an empty list clears it
+    setSearchMatches(names) {
+        this.searchMatches = new Set(names);
+        this.nodes.forEach(node => this._applySearchMatch(node));
+    }
+
+    /**
+     * The part of the canvas in view ({ x, y, width, height } in canvas
+     * coordinates, from CanvasController.getViewport). Nodes and links outside
+     * it are dropped from the DOM on the next frame. A viewport with no size
+     * (the canvas isn't laid out yet) renders everything.
+     */
+    setViewport(viewport) {
+        this.viewport = viewport;
+        if (this.viewFrame !== null || !this.currentStory?.passages) return;
+        this.viewFrame = requestAnimationFrame(() => {
+            this.viewFrame = null;
+            this._syncNodes();
+            this.renderConnections();
+        });
     }
 
     // =====================================================
@@ -34,127 +153,321 @@ export class StoryRenderer {
     // =====================================================
     render() {
         if (!this.currentStory?.passages) {
-            this.passagesLayer.innerHTML = '';
-            this.connectionsLayer.innerHTML = '';
+            this._clear();
+            this.analysis = null;
             return;
         }
 
+        this._pruneLinkCache();
+        this.analysis = analyzeStory(this.currentStory, content => this.extractLinks(content));
+
+        // Drop passages that were deleted or renamed from the selection
+        const kept = this.getSelection().filter(name => Object.hasOwn(this.currentStory.passages, name));
+        if (kept.length !== this.selection.size) {
+            this.selection = new Set(kept);
+            if (!this.selection.has(this.selectedPassage)) this.selectedPassage = null;
+            this.onSelectionChange(kept);
+        }
+
+        this._syncNodes();
+        this.renderConnections();
+        this.onAnalysis(this.analysis);
+        this.onRender();
+    }
+
+    _clear() {
         this.passagesLayer.innerHTML = '';
+        this.connectionsLayer.innerHTML = '';
+        this.nodes.clear();
+        this.nodeKeys.clear();
+        this.edges.clear();
+        this.incoming.clear();
+    }
 
-        Object.values(this.currentStory.passages).forEach(p => {
-            const node = this._createPassageNode(p);
-            this.passagesLayer.appendChild(node);
+    // Add, rebuild, move or remove nodes so the DOM matches the visible passages
+    _syncNodes() {
+        const passages = this.currentStory.passages;
+        this.nodes.forEach((node, name) => {
+            if (!Object.hasOwn(passages, name) || !this._isVisible(passages[name])) {
+                node.remove();
+                this.nodes.delete(name);
+                this.nodeKeys.delete(name);
+            }
         });
 
-        this.renderConnections();
+        Object.values(passages).forEach(p => {
+            if (!this._isVisible(p)) return;
+            const key = this._nodeKey(p);
+            let node = this.nodes.get(p.name);
+            if (node && this.nodeKeys.get(p.name) !== key) {
+                node.replaceWith(node = this._createPassageNode(p));
+            } else if (!node) {
+                node = this._createPassageNode(p);
+                this.passagesLayer.appendChild(node);
+            }
+            this.nodes.set(p.name, node);
+            this.nodeKeys.set(p.name, key);
+            node.style.left = (p.x || 100) + 'px';
+            node.style.top = (p.y || 100) + 'px';
+        });
+    }
+
+    // Everything a node shows apart from its position, selection, presence and tag filter
+    _nodeKey(passage) {
+        const tagColors = this.currentStory.tagColors || {};
+        const tags = passageTags(passage);
+        return JSON.stringify([
+            passage.name,
+            passage.content || '',
+            passage.name === this.currentStory.startPassage,
+            tags.map(tag => [tag, tagColor(tagColors, tag)]),
+            passageColor(passage, tagColors),
+            (this.analysis?.issuesByPassage[passage.name] || []).map(i => [i.type, i.message]),
+            this.extractLinks(passage.content).map(l => Object.hasOwn(this.currentStory.passages, l))
+        ]);
+    }
+
+    _passageBox(passage) {
+        const node = this.nodes.get(passage.name);
+        return {
+            x: passage.x || 100,
+            y: passage.y || 100,
+            width: node?.offsetWidth || NODE_WIDTH,
+            height: node?.offsetHeight || NODE_HEIGHT
+        };
+    }
+
+    _inViewport(x1, y1, x2, y2) {
+        const v = this.viewport;
+        if (!v?.width || !v?.height) return true;
+        return x1 < v.x + v.width + VIEWPORT_MARGIN && x2 > v.x - VIEWPORT_MARGIN &&
+            y1 < v.y + v.height + VIEWPORT_MARGIN && y2 > v.y - VIEWPORT_MARGIN;
+    }
+
+    _isVisible(passage) {
+        const x = passage.x || 100;
+        const y = passage.y || 100;
+        return this._inViewport(x, y, x + NODE_WIDTH, y + NODE_HEIGHT);
     }
 
     _createPassageNode(passage) {
         const isStart = passage.name === this.currentStory.startPassage;
         const links = this.extractLinks(passage.content);
+        const tags = passageTags(passage);
+        const tagColors = this.currentStory.tagColors || {};
         const preview = (passage.content || '').replace(/\[\[.+?\]\]/g, '').trim().slice(0, 60);
 
         const node = document.createElement('div');
-        node.className = `passage-node ${isStart ? 'start' : ''} ${this.selectedPassage === passage.name ? 'selected' : ''}`;
+        node.className = `passage-node ${isStart ? 'start' : ''} ${this.selection.has(passage.name) ? 'selected' : ''}`;
         node.dataset.name = passage.name;
         node.style.left = (passage.x || 100) + 'px';
         node.style.top = (passage.y || 100) + 'px';
+        node.dataset.tags = tags.join(' ');
+        const color = passageColor(passage, tagColors);
+        if (color) node.dataset.tagColor = color;
+        // Story check badge: red when a link is broken, amber for structural warnings
+        const issues = this.analysis?.issuesByPassage[passage.name] || [];
+        const severity = issues.some(i => i.type === 'broken') ? 'error' : 'warning';
+        const issueText = esc(issues.map(i => i.message).join('\n')).replace(/"/g, '&quot;');
+        const badge = issues.length
+            ? `<div class="passage-node-badge ${severity}" title="${issueText}">${issues.length}</div>`
+            : '';
 
         node.innerHTML = `
+            ${badge}
             <div class="passage-node-header">${esc(passage.name)}</div>
+            ${tags.length ? `<div class="passage-node-tags">${tags.map(t => `<span class="tag-chip" data-color="${tagColor(tagColors, t) || ''}">${esc(t)}</span>`).join('')}</div>` : ''}
             <div class="passage-node-content">${esc(preview)}${preview.length >= 60 ? '...' : ''}</div>
-            ${links.length ? `<div class="passage-node-links">${links.map(l => `<span class="passage-link-tag">${esc(l)}</span>`).join('')}</div>` : ''}
+            ${links.length ? `<div class="passage-node-links">${links.map(l => `<span class="passage-link-tag ${Object.hasOwn(this.currentStory.passages, l) ? '' : 'broken'}">${esc(l)}</span>`).join('')}</div>` : ''}
         `;
 
-        // Drag handling
-        node.addEventListener('mousedown', e => {
+        // Drag handling, for mouse, touch and pen alike
+        node.addEventListener('pointerdown', e => {
             if (e.button !== 0) return;
             e.stopPropagation();
 
-            // Select passage
-            this.selectedPassage = passage.name;
-            document.querySelectorAll('.passage-node').forEach(n => n.classList.remove('selected'));
-            node.classList.add('selected');
+            if (e.pointerType === 'mouse') {
+                this.lastTap = null;
+            } else if (this._isDoubleTap(passage.name, e.timeStamp)) {
+                this.onPassageEdit(passage.name);
+                return;
+            }
+
+            // Shift+click adds or removes; a plain click on a selected passage keeps the group for dragging
+            if (e.shiftKey) {
+                this.toggleSelected(passage.name);
+            } else if (!this.selection.has(passage.name)) {
+                this.setSelection([passage.name]);
+            } else {
+                this.selectedPassage = passage.name;
+            }
 
             this.onPassageSelect(passage.name);
-            this.onPassageDragStart(node, e);
+            if (this.selection.has(passage.name)) this.onPassageDragStart(node, e);
         });
 
-        // Double click to edit
+        // Double click to edit; one the browser makes from a double tap was handled above
         node.addEventListener('dblclick', e => {
             e.stopPropagation();
+            if (this.lastTap?.opened) return;
             this.onPassageEdit(passage.name);
         });
 
+        this._renderPresence(node);
+        this._applyTagFilter(node);
+        this._applySearchMatch(node);
         return node;
     }
 
+    _isDoubleTap(name, time) {
+        const double = this.lastTap?.name === name && !this.lastTap.opened && time - this.lastTap.time < DOUBLE_TAP_DELAY;
+        this.lastTap = { name, time, opened: double };
+        return double;
+    }
+
+    _applySearchMatch(node) {
+        node.classList.toggle('search-match', this.searchMatches.has(node.dataset.name));
+    }
+
+    _applyTagFilter(node) {
+        const match = !!this.tagFilter && node.dataset.tags.split(' ').includes(this.tagFilter);
+        node.classList.toggle('tag-match', match);
+        node.classList.toggle('tag-dimmed', !!this.tagFilter && !match);
+    }
+
+    _renderPresence(node) {
+        node.querySelector('.passage-presence')?.remove();
+        const people = this.presence[node.dataset.name] || [];
+        node.classList.toggle('being-edited', people.some(p => p.editing));
+        if (!people.length) return;
+
+        const list = document.createElement('div');
+        list.className = 'passage-presence';
+        people.forEach(person => {
+            const avatar = document.createElement('span');
+            avatar.className = `presence-avatar ${person.editing ? 'editing' : ''}`;
+            avatar.style.background = person.color;
+            avatar.textContent = person.name.charAt(0).toUpperCase();
+            avatar.title = `${person.name} is ${person.editing ? 'editing' : 'viewing'} this passage`;
+            list.appendChild(avatar);
+        });
+        node.appendChild(list);
+    }
+
     // =====================================================
     // CONNECTIONS RENDERING
     // =====================================================
+    // Links are diffed against the drawn ones, and only those near the view are drawn
     renderConnections() {
-        while (this.connectionsLayer.firstChild) {
-            this.connectionsLayer.removeChild(this.connectionsLayer.firstChild);
-        }
-
         if (!this.currentStory?.passages) return;
+        const passages = this.currentStory.passages;
+        const drawn = new Set();
+        this.incoming.clear();
+
+        Object.values(passages).forEach(passage => {
+            this.extractLinks(passage.content).forEach(targetName => {
+                if (!Object.hasOwn(passages, targetName)) return;
+                if (!this.incoming.has(targetName)) this.incoming.set(targetName, new Set());
+                this.incoming.get(targetName).add(passage.name);
+
+                const key = `${passage.name}\n${targetName}`;
+                if (this._renderConnection(key, passage, passages[targetName])) drawn.add(key);
+            });
+        });
+
+        this.edges.forEach((edge, key) => {
+            if (!drawn.has(key)) this._removeConnection(key);
+        });
+    }
 
-        const svgNS = 'http://www.w3.org/2000/svg';
-
-        Object.values(this.currentStory.passages).forEach(passage => {
-            const links = this.extractLinks(passage.content);
-            const fromX = (passage.x || 100) + 80;
-            const fromY = (passage.y || 100) + 50;
-
-            links.forEach(targetName => {
-                const target = this.currentStory.passages[targetName];
-                if (!target) return;
-
-                const toX = (target.x || 100) + 80;
-                const toY = (target.y || 100) + 50;
-
-                const dx = toX - fromX;
-                const dy = toY - fromY;
-                const ctrlX = (fromX + toX) / 2 - dy * 0.2;
-                const ctrlY = (fromY + toY) / 2 + dx * 0.2;
-
-                // Curved line
-                const path = document.createElementNS(svgNS, 'path');
-                path.setAttribute('class', 'connection-line');
-                path.setAttribute('d', `M${fromX},${fromY} Q${ctrlX},${ctrlY} ${toX},${toY}`);
-                this.connectionsLayer.appendChild(path);
-
-                // Arrow
-                const angle = Math.atan2(toY - ctrlY, toX - ctrlX);
-                const arrowSize = 8;
-                const ax = toX - arrowSize * Math.cos(angle - 0.4);
-                const ay = toY - arrowSize * Math.sin(angle - 0.4);
-                const bx = toX - arrowSize * Math.cos(angle + 0.4);
-                const by = toY - arrowSize * Math.sin(angle + 0.4);
-
-                const arrow = document.createElementNS(svgNS, 'polygon');
-                arrow.setAttribute('class', 'connection-arrow');
-                arrow.setAttribute('points', `${toX},${toY} ${ax},${ay} ${bx},${by}`);
-                this.connectionsLayer.appendChild(arrow);
+    // Redraw only the links to and from these passages, e.g. while they are dragged
+    updateConnectionsFor(names) {
+        const passages = this.currentStory?.passages;
+        if (!passages) return;
+        names.forEach(name => {
+            const passage = passages[name];
+            if (!passage) return;
+            this.extractLinks(passage.content).forEach(targetName => {
+                if (Object.hasOwn(passages, targetName)) {
+                    this._renderConnection(`${name}\n${targetName}`, passage, passages[targetName]);
+                }
+            });
+            (this.incoming.get(name) || []).forEach(sourceName => {
+                if (passages[sourceName]) this._renderConnection(`${sourceName}\n${name}`, passages[sourceName], passage);
             });
         });
     }
 
+    // Draw or move one link; returns false (and removes it) when it is out of view
+    _renderConnection(key, passage, target) {
+        const fromX = (passage.x || 100) + 80;
+        const fromY = (passage.y || 100) + 50;
+        const toX = (target.x || 100) + 80;
+        const toY = (target.y || 100) + 50;
+
+        if (!this._inViewport(Math.min(fromX, toX), Math.min(fromY, toY), Math.max(fromX, toX), Math.max(fromY, toY))) {
+            this._removeConnection(key);
+            return false;
+        }
+
+        let edge = this.edges.get(key);
+        if (!edge) {
+            const svgNS = 'http://www.w3.org/2000/svg';
+            edge = {
+                path: document.createElementNS(svgNS, 'path'),
+                arrow: document.createElementNS(svgNS, 'polygon')
+            };
+            edge.path.setAttribute('class', 'connection-line');
+            edge.arrow.setAttribute('class', 'connection-arrow');
+            this.connectionsLayer.append(edge.path, edge.arrow);
+            this.edges.set(key, edge);
+        }
+
+        const dx = toX - fromX;
+        const dy = toY - fromY;
+        const ctrlX = (fromX + toX) / 2 - dy * 0.2;
+        const ctrlY = (fromY + toY) / 2 + dx * 0.2;
+
+        // Curved line
+        edge.path.setAttribute('d', `M${fromX},${fromY} Q${ctrlX},${ctrlY} ${toX},${toY}`);
+
+        // Arrow
+        const angle = Math.atan2(toY - ctrlY, toX - ctrlX);
+        const arrowSize = 8;
+        const ax = toX - arrowSize * Math.cos(angle - 0.4);
+        const ay = toY - arrowSize * Math.sin(angle - 0.4);
+        const bx = toX - arrowSize * Math.cos(angle + 0.4);
+        const by = toY - arrowSize * Math.sin(angle + 0.4);
+        edge.arrow.setAttribute('points', `${toX},${toY} ${ax},${ay} ${bx},${by}`);
+        return true;
+    }
+
+    _removeConnection(key) {
+        const edge = this.edges.get(key);
+        if (!edge) return;
+        edge.path.remove();
+        edge.arrow.remove();
+        this.edges.delete(key);
+    }
+
     // =====================================================
     // LINK EXTRACTION
     // =====================================================
     extractLinks(content) {
-        if (!content) return [];
-        const matches = content.match(/\[\[([^\]]+)\]\]/g) || [];
-        return matches.map(m => {
-            const inner = m.slice(2, -2);
-            // Handle [[Display->Target]] syntax
-            if (inner.includes('->')) {
-                return inner.split('->')[1].trim();
-            }
-            // Handle [[Display|Target]] syntax
-            const parts = inner.split('|');
-            return parts[parts.length - 1].trim();
+        const source = content || '';
+        let links = this.linkCache.get(source);
+        if (!links) {
+            links = storyRuntime.extractLinks(source);
+            this.linkCache.set(source, links);
+        }
+        return links;
+    }
+
+    // Forget links of content no passage has any more
+    _pruneLinkCache() {
+        const contents = new Set(Object.values(this.currentStory.passages).map(p => p.content || ''));
+        this.linkCache.forEach((links, content) => {
+            if (!contents.has(content)) this.linkCache.delete(content);
         });
     }
 
@@ -167,55 +480,105 @@ export class StoryRenderer {
             this.currentStory.passages[name].y = y;
         }
     }
+
+    // Move a passage and its node, if it is rendered, without re-rendering
+    movePassage(name, x, y) {
+        this.updatePassagePosition(name, x, y);
+        const node = this.nodes.get(name);
+        if (node) {
+            node.style.left = x + 'px';
+            node.style.top = y + 'px';
+        }
+    }
 }
 
 // =====================================================
 // STORY PLAYER
 // =====================================================
+let nextStyleScope = 1;
+
 export class StoryPlayer {
-    constructor(contentElement) {
+    // The story's stylesheet applies inside styleRoot (the player's container) only
+    constructor(contentElement, controlsElement, styleRoot = null) {
         this.contentElement = contentElement;
+        this.controlsElement = controlsElement;
+        this.styleRoot = styleRoot;
+        this.styleElement = null;
         this.currentStory = null;
+        this.playthrough = null;
+        this.scriptsAllowed = false;
+        // Stops answering the sandboxed frame's save requests
+        this.disconnectSaves = null;
+
+        if (styleRoot) styleRoot.dataset.storyStyle = String(nextStyleScope++);
     }
 
     setStory(story) {
         this.currentStory = story;
+        this.playthrough = null;
+        this.setStylesheet(story?.stylesheet);
     }
 
-    play(passageName) {
-        if (!this.currentStory) return;
+    // Apply a stylesheet (the story's, or a draft being previewed), sanitized and scoped
+    setStylesheet(css) {
+        if (!this.styleRoot) return;
+        if (!this.styleElement) {
+            this.styleElement = document.createElement('style');
+            document.head.appendChild(this.styleElement);
+        }
+        const scope = `[data-story-style="${this.styleRoot.dataset.storyStyle}"]`;
+        this.styleElement.textContent = scopeStylesheet(sanitizeStylesheet(css), scope);
+    }
+
+    // Whether the reader agreed to run the story's JavaScript (if it has any enabled)
+    setScriptsAllowed(allowed) {
+        this.scriptsAllowed = allowed;
+    }
 
-        const passage = this.currentStory.passages[passageName];
-        if (!passage) {
-            this.contentElement.innerHTML = `<p>Passage not found: ${esc(passageName)}</p>`;
+    // Begin a new playthrough with fresh variables and history
+    start(passageName) {
+        if (!this.currentStory) return;
+        this.disconnectSaves?.();
+        this.disconnectSaves = null;
+        this.contentElement.classList.remove('sandboxed');
+        if (this.scriptsAllowed && storyRunsScripts(this.currentStory)) {
+            this._startSandboxed(passageName);
             return;
         }
+        // Picks up stylesheet changes made since setStory, including collaborators'
+        this.setStylesheet(this.currentStory.stylesheet);
 
-        let content = esc(passage.content || '');
-
-        // Convert links (operating on already-escaped content)
-        content = content.replace(/\[\[([^\]]+)\]\]/g, (match, inner) => {
-            let display, target;
-            if (inner.includes('-&gt;')) {
-                [display, target] = inner.split('-&gt;').map(s => s.trim());
-            } else if (inner.includes('|')) {
-                [display, target] = inner.split('|').map(s => s.trim());
-            } else {
-                display = target = inner.trim();
-            }
-            return `<span class="story-link" data-target="${target.replace(/"/g, '&quot;')}">${display}</span>`;
+        this.playthrough = storyRuntime.createPlaythrough(this.currentStory, {
+            content: this.contentElement,
+            controls: this.controlsElement
         });
+        this.playthrough.start(passageName);
+    }
 
-        // Paragraphs
-        content = content.split('\n\n').map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`).join('');
-
-        this.contentElement.innerHTML = `<h1>${esc(this.currentStory.title)}</h1>${content}`;
+    // The exported page, scripts and all, in a sandboxed frame with its own controls
+    _startSandboxed(passageName) {
+        this.playthrough = null;
+        this.setStylesheet('');
+        if (this.controlsElement) this.controlsElement.textContent = '';
+
+        const frame = document.createElement('iframe');
+        frame.className = 'play-frame';
+        frame.title = this.currentStory.title || 'Story';
+        frame.setAttribute('sandbox', STORY_SANDBOX);
+        frame.srcdoc = generatePlayableHtml(this.currentStory, { scripts: true, startPassage: passageName, framed: true });
+        // The frame has no storage of its own, so its save slots are kept here
+        this.disconnectSaves = storyRuntime.connectFrameSaves(frame, storyRuntime.saveKey(this.currentStory));
+
+        this.contentElement.textContent = '';
+        this.contentElement.classList.add('sandboxed');
+        this.contentElement.appendChild(frame);
+    }
 
-        // Bind link clicks
-        this.contentElement.querySelectorAll('.story-link').forEach(link => {
-            link.addEventListener('click', () => {
-                this.play(link.dataset.target);
-            });
-        });
+    play(passageName) {
+        if (!this.playthrough) {
+            this.start(passageName);
+            return;
+        }
+        this.playthrough.go(passageName);
     }
 }
@@ -0,0 +1,117 @@
+// =====================================================
+// STORY STYLESHEETS - SANITIZING & SCOPING
+// =====================================================
+
+/**
+ * Neutralize the parts of an author's stylesheet that can run script or pull
+ * in outside content. Used on import, on save and before a stylesheet is applied.
+ */
+export function sanitizeStylesheet(css) {
+    return (css || '')
+        .replace(/<script[\s\S]*?<\/script>/gi, '')
+        .replace(/expression\s*\(/gi, '')
+        .replace(/javascript\s*:/gi, '')
+        .replace(/@import\b/gi, '/* @import */')
+        .replace(/url\s*\(\s*['"]?\s*data\s*:/gi, 'url(/* blocked */')
+        .replace(/behavior\s*:/gi, '/* behavior: */')
+        .replace(/-moz-binding\s*:/gi, '/* -moz-binding: */');
+}
+
+// Selectors meaning "the whole story" are pointed at the scope element itself
+const ROOT_SELECTOR = /^(?:html|body|:root|tw-story)(?![\w-])\s*/i;
+
+// At-rules whose blocks hold more rules rather than declarations; their rules are scoped
+const GROUPING_AT_RULE = /^@(?:media|supports|container|layer|starting-style)\b/i;
+
+// At-rules that can't select anything, kept as they are. Every other at-rule
+// (@scope, @document, @page...) is dropped, since it could reach outside the player
+const VERBATIM_AT_RULE = /^@(?:-[a-z]+-)?(?:keyframes|font-face)\b/i;
+
+// Strings and comments, in which braces don't count
+const QUOTED = /"(?:\\[\s\S]|[^"\\])*"?|'(?:\\[\s\S]|[^'\\])*'?|\/\*[\s\S]*?(?:\*\/|$)/y;
+
+// Index of the first `char` at or after from that isn't in a string or comment
+function indexOutsideQuotes(css, char, from) {
+    for (let i = from; i < css.length; i++) {
+        QUOTED.lastIndex = i;
+        const quoted = QUOTED.exec(css);
+        if (quoted) i += quoted[0].length - 1;
+        else if (css[i] === char) return i;
+    }
+    return -1;
+}
+
+// Index of the brace closing the one at `open`
+function closingBrace(css, open) {
+    let depth = 0;
+    for (let i = open; i < css.length; i++) {
+        QUOTED.lastIndex = i;
+        const quoted = QUOTED.exec(css);
+        if (quoted) i += quoted[0].length - 1;
+        else if (css[i] === '{') depth++;
+        else if (css[i] === '}' && --depth === 0) return i;
+    }
+    return css.length;
+}
+
+// Split a selector list on commas that aren't inside :is(), :not() etc.
+function splitSelectors(prelude) {
+    const selectors = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < prelude.length; i++) {
+        if (prelude[i] === '(') depth++;
+        else if (prelude[i] === ')') depth--;
+        else if (prelude[i] === ',' && depth === 0) {
+            selectors.push(prelude.slice(start, i));
+            start = i + 1;
+        }
+    }
+    selectors.push(prelude.slice(start));
+    return selectors.map(s => s.trim()).filter(Boolean);
+}
+
+function scopeSelector(selector, scope) {
+    let rest = selector;
+    // "html body p" and "body p" both become "<scope> p"
+    while (ROOT_SELECTOR.test(rest)) {
+        rest = rest.replace(ROOT_SELECTOR, '');
+    }
+    if (rest === selector) return `${scope} ${selector}`;
+    return /^[.#[:]/.test(rest) ? `${scope}${rest}` : `${scope} ${rest}`.trim();
+}
+
+/**
+ * Prefix every rule in css with scope so it only matches inside the story's
+ * player. body, html, :root and tw-story select the player itself. Comments
+ * and statement at-rules (@charset, @namespace) are dropped; @keyframes and
+ * @font-face are kept as they are, and other block at-rules are dropped.
+ */
+export function scopeStylesheet(css, scope) {
+    // Comments go, strings stay
+    const source = (css || '').replace(/("(?:\\[\s\S]|[^"\\])*"|'(?:\\[\s\S]|[^'\\])*')|\/\*[\s\S]*?(?:\*\/|$)/g, (m, string) => string || '');
+    let output = '';
+    let i = 0;
+
+    while (i < source.length) {
+        const open = indexOutsideQuotes(source, '{', i);
+        if (open === -1) break;
+        const close = closingBrace(source, open);
+        // Anything before the last ";" is a statement at-rule or stray text
+        const prelude = source.slice(i, open).split(';').pop().trim();
+        const body = source.slice(open + 1, close);
+
+        if (GROUPING_AT_RULE.test(prelude)) {
+            output += `${prelude} {\n${scopeStylesheet(body, scope)}}\n`;
+        } else if (VERBATIM_AT_RULE.test(prelude)) {
+            output += `${prelude} {${body}}\n`;
+        } else if (prelude.startsWith('@')) {
+            // Unscoped, so dropped
+        } else if (prelude) {
+            const selectors = splitSelectors(prelude).map(s => scopeSelector(s, scope));
+            output += `${selectors.join(', ')} {${body}}\n`;
+        }
+        i = close + 1;
+    }
+    return output;
+}
@@ -0,0 +1,43 @@
+// =====================================================
+// PASSAGE TAGS & TAG COLORS
+// =====================================================
+
+// Twine's tag colors, so tagColors survives a round trip through Twine
+export const TAG_COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple'];
+
+// Imports may store tags as a space-separated string
+export function passageTags(passage) {
+    if (Array.isArray(passage.tags)) return passage.tags;
+    return typeof passage.tags === 'string' ? passage.tags.split(' ').filter(Boolean) : [];
+}
+
+// Tags can't contain spaces in Twine: "needs work" becomes "needs-work"
+export function normalizeTag(tag) {
+    return tag.trim().replace(/\s+/g, '-');
+}
+
+// Every tag used in the story with how many passages carry it: { tag: count }, sorted by name
+export function storyTags(story) {
+    const counts = {};
+    Object.values(story?.passages || {}).forEach(p => {
+        passageTags(p).forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+    return Object.fromEntries(Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// A tag's color from the story's tagColors, ignoring values Twine doesn't know
+export function tagColor(tagColors, tag) {
+    const color = tagColors?.[tag];
+    return TAG_COLORS.includes(color) ? color : null;
+}
+
+// Color of the first tag that has one, for the passage's stripe on the canvas
+export function passageColor(passage, tagColors) {
+    for (const tag of passageTags(passage)) {
+        const color = tagColor(tagColors, tag);
+        if (color) return color;
+    }
+    return null;
+}
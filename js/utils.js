@@ -18,15 +18,25 @@ export function esc(str) {
 export const $ = id => document.getElementById(id);
 
 /**
- * Show a toast notification
+ * Show a toast notification, optionally with an action button ({ label, onClick })
  */
 let _toastTimer = null;
-export function showToast(msg, duration = 2500) {
+export function showToast(msg, duration = 2500, action = null) {
     const toast = $('toast');
     if (!toast) return;
 
     if (_toastTimer) clearTimeout(_toastTimer);
     toast.textContent = msg;
+    if (action) {
+        const btn = document.createElement('button');
+        btn.className = 'toast-action';
+        btn.textContent = action.label;
+        btn.addEventListener('click', () => {
+            toast.classList.remove('show');
+            action.onClick();
+        });
+        toast.appendChild(btn);
+    }
     toast.classList.add('show');
     _toastTimer = setTimeout(() => {
         toast.classList.remove('show');